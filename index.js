@@ -3,4 +3,7 @@
  */
 import Segmon from './src/provider.js';
 
+export * from './src/errors.js';
+export { FileSystemAdapter } from './src/adapters/fs.js';
+export { MemoryAdapter } from './src/adapters/memory.js';
 export default Segmon;
@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import Segmon from '../provider.js';
+
+/**
+ * Registers the storage adapter conformance suite: the behaviour Segmon relies on from
+ * every adapter, first through the adapter interface and then through a Segmon
+ * instance running on it.
+ *
+ * @param {string} label - Name of the adapter, used in test titles.
+ * @param {function(): (StorageAdapter|Promise<StorageAdapter>)} createAdapter - Returns a fresh, empty adapter.
+ * @example
+ * testAdapterConformance('S3Adapter', () => new S3Adapter({ bucket: 'segmon-test' }));
+ */
+export function testAdapterConformance(label, createAdapter) {
+    test(`Storage adapter conformance - ${label}`, async (t) => {
+        await t.test('describes itself', async () => {
+            const adapter = await createAdapter();
+            assert.strictEqual(typeof adapter.shared, 'boolean');
+            assert.strictEqual(typeof adapter.collectionPath('users'), 'string');
+            assert.notStrictEqual(adapter.collectionPath('users'), adapter.collectionPath('orders'));
+        });
+
+        await t.test('opens and lists collections', async () => {
+            const adapter = await createAdapter();
+            assert.deepStrictEqual(await adapter.listFiles('users'), []);
+            await adapter.openCollection('users');
+            await adapter.openCollection('users');
+            await adapter.openCollection('orders');
+            assert.deepStrictEqual((await adapter.listCollections()).sort(), ['orders', 'users']);
+            assert.deepStrictEqual(await adapter.listFiles('users'), []);
+        });
+
+        await t.test('reports missing files without throwing', async () => {
+            const adapter = await createAdapter();
+            await adapter.openCollection('users');
+            assert.strictEqual(await adapter.readFile('users', 'segment_0.json'), null);
+            assert.strictEqual(await adapter.stat('users', 'segment_0.json'), null);
+            await adapter.deleteFile('users', 'segment_0.json');
+            assert.strictEqual(await adapter.readFile('ghost', 'segment_0.json'), null);
+        });
+
+        await t.test('writes, replaces and deletes files', async () => {
+            const adapter = await createAdapter();
+            await adapter.openCollection('users');
+            await adapter.writeFile('users', 'segment_0.json', '{"a":1}');
+            await adapter.writeFile('users', 'segment_1.json', Buffer.from([0, 255, 10, 13]));
+
+            const text = await adapter.readFile('users', 'segment_0.json');
+            assert.ok(Buffer.isBuffer(text));
+            assert.strictEqual(text.toString('utf8'), '{"a":1}');
+            assert.deepStrictEqual([...await adapter.readFile('users', 'segment_1.json')], [0, 255, 10, 13]);
+
+            await adapter.writeFile('users', 'segment_0.json', '{}');
+            assert.strictEqual((await adapter.readFile('users', 'segment_0.json')).toString('utf8'), '{}');
+            const stats = await adapter.stat('users', 'segment_0.json');
+            assert.strictEqual(stats.size, 2);
+            assert.ok(stats.allocated >= 0);
+
+            assert.deepStrictEqual((await adapter.listFiles('users')).sort(), ['segment_0.json', 'segment_1.json']);
+            await adapter.deleteFile('users', 'segment_1.json');
+            assert.deepStrictEqual(await adapter.listFiles('users'), ['segment_0.json']);
+            assert.strictEqual(await adapter.readFile('users', 'segment_1.json'), null);
+        });
+
+        await t.test('isolates collections and returned buffers', async () => {
+            const adapter = await createAdapter();
+            await adapter.openCollection('a');
+            await adapter.openCollection('b');
+            await adapter.writeFile('a', 'index_x.json', 'A');
+            await adapter.writeFile('b', 'index_x.json', 'B');
+            const read = await adapter.readFile('a', 'index_x.json');
+            read[0] = 'Z'.charCodeAt(0);
+            assert.strictEqual((await adapter.readFile('a', 'index_x.json')).toString(), 'A');
+            assert.strictEqual((await adapter.readFile('b', 'index_x.json')).toString(), 'B');
+
+            const written = Buffer.from('C');
+            await adapter.writeFile('a', 'index_y.json', written);
+            written[0] = 'Z'.charCodeAt(0);
+            assert.strictEqual((await adapter.readFile('a', 'index_y.json')).toString(), 'C');
+        });
+
+        await t.test('replaces files atomically under concurrent writes', async () => {
+            const adapter = await createAdapter();
+            await adapter.openCollection('users');
+            const contents = Array.from({ length: 8 }, (_, i) => String(i).repeat(4096));
+            await Promise.all(contents.map(content => adapter.writeFile('users', 'segment_0.json', content)));
+            assert.ok(contents.includes((await adapter.readFile('users', 'segment_0.json')).toString()));
+
+            await adapter.cleanup('users');
+            assert.deepStrictEqual(await adapter.listFiles('users'), ['segment_0.json']);
+        });
+
+        await t.test('runs Segmon', async () => {
+            const adapter = await createAdapter();
+            const db = new Segmon({ adapter, maxItemsPerSegment: 2, cache: true });
+            await db.createIndex('users', 'email', { unique: true });
+            const docs = await db.bulkCreate('users', [
+                { email: 'a@x', n: 1 }, { email: 'b@x', n: 2 }, { email: 'c@x', n: 3 }
+            ]);
+            await db.update('users', docs[0].id, { $inc: { n: 10 } });
+            await db.delete('users', docs[1].id);
+            await db.transaction(async (tx) => {
+                await tx.create('users', { email: 'd@x', n: 4 });
+                await tx.create('audit', { action: 'signup' });
+            });
+            await assert.rejects(db.create('users', { email: 'a@x' }), /Duplicate key/);
+            await db.compact('users');
+
+            // A second instance on the same adapter sees the same data
+            const reopened = new Segmon({ adapter, maxItemsPerSegment: 2 });
+            assert.deepStrictEqual((await reopened.find('users', {}, { sort: { n: 1 } })).map(d => d.n), [3, 4, 11]);
+            assert.strictEqual((await reopened.findById('users', docs[2].id)).email, 'c@x');
+            assert.strictEqual(await reopened.count('audit'), 1);
+            assert.deepStrictEqual((await reopened.find('users', { email: 'd@x' })).length, 1);
+        });
+    });
+}
@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const TEMP_SUFFIX = '.tmp';
+let tempCounter = 0;
+
+/**
+ * Stores each collection as a directory of files under a base path. Writes are
+ * crash-safe: data goes to a temporary sibling which is fsynced and then renamed over
+ * the target, so readers only ever see the old or the new content.
+ *
+ * Implements the {@link StorageAdapter} interface.
+ */
+export class FileSystemAdapter {
+    /**
+     * @param {string} basePath - Directory holding one sub-directory per collection.
+     */
+    constructor(basePath) {
+        this.basePath = basePath;
+        this.shared = true; // Other processes see the same files
+    }
+
+    /**
+     * @param {string} name - Collection name.
+     * @returns {string} The collection directory.
+     */
+    collectionPath(name) {
+        return path.join(this.basePath, name);
+    }
+
+    async openCollection(name) {
+        await fs.mkdir(this.collectionPath(name), { recursive: true });
+    }
+
+    /**
+     * Removes temporary files left behind by writes that never reached their rename.
+     * @param {string} name - Collection name.
+     * @returns {Promise<void>}
+     */
+    async cleanup(name) {
+        const dir = this.collectionPath(name);
+        const files = await this.listFiles(name);
+        await Promise.all(files
+            .filter(f => f.endsWith(TEMP_SUFFIX))
+            .map(f => fs.rm(path.join(dir, f), { force: true })));
+    }
+
+    async listCollections() {
+        try {
+            const entries = await fs.readdir(this.basePath, { withFileTypes: true });
+            return entries.filter(e => e.isDirectory()).map(e => e.name);
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    }
+
+    async listFiles(name) {
+        try {
+            return await fs.readdir(this.collectionPath(name));
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    }
+
+    async readFile(name, fileName) {
+        try {
+            return await fs.readFile(path.join(this.collectionPath(name), fileName));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async writeFile(name, fileName, data) {
+        const file = path.join(this.collectionPath(name), fileName);
+        const tmp = `${file}.${process.pid}.${tempCounter++}${TEMP_SUFFIX}`;
+        try {
+            const handle = await fs.open(tmp, 'w');
+            try {
+                await handle.writeFile(data);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.rename(tmp, file);
+        } catch (err) {
+            await fs.rm(tmp, { force: true });
+            throw err;
+        }
+        await this.syncDirectory(path.dirname(file));
+    }
+
+    async deleteFile(name, fileName) {
+        const dir = this.collectionPath(name);
+        await fs.rm(path.join(dir, fileName), { force: true });
+        await this.syncDirectory(dir);
+    }
+
+    /**
+     * Reports a file's size and the disk space allocated to it. Small files occupy whole
+     * filesystem blocks; platforms that do not report blocks fall back to the size.
+     * @param {string} name - Collection name.
+     * @param {string} fileName - Filename.
+     * @returns {Promise<{size: number, allocated: number}|null>} Sizes in bytes, or null if missing.
+     */
+    async stat(name, fileName) {
+        try {
+            const stats = await fs.stat(path.join(this.collectionPath(name), fileName));
+            return { size: stats.size, allocated: stats.blocks ? stats.blocks * 512 : stats.size };
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    /**
+     * Flushes a directory entry so a completed rename survives a power loss.
+     * Platforms that cannot open directories (e.g. Windows) are skipped silently.
+     * @param {string} dir - Directory path.
+     * @returns {Promise<void>}
+     */
+    async syncDirectory(dir) {
+        let handle;
+        try {
+            handle = await fs.open(dir, 'r');
+            await handle.sync();
+        } catch {
+            // Directory fsync is best effort
+        } finally {
+            if (handle) await handle.close();
+        }
+    }
+}
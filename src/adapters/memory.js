@@ -0,0 +1,57 @@
+/**
+ * Keeps collections in memory: nothing touches the disk and everything is lost when
+ * the process exits. Meant for tests and ephemeral data. Several Segmon instances can
+ * share one adapter to see the same collections.
+ *
+ * Implements the {@link StorageAdapter} interface.
+ */
+export class MemoryAdapter {
+    constructor() {
+        this.collections = new Map(); // collection -> Map<fileName, Buffer>
+        this.shared = false; // Other processes cannot see the data
+    }
+
+    /**
+     * @param {string} name - Collection name.
+     * @returns {string} A location naming the collection, for messages.
+     */
+    collectionPath(name) {
+        return `memory:${name}`;
+    }
+
+    async openCollection(name) {
+        if (!this.collections.has(name)) this.collections.set(name, new Map());
+    }
+
+    async cleanup() {
+        // Writes are never left half done
+    }
+
+    async listCollections() {
+        return [...this.collections.keys()];
+    }
+
+    async listFiles(name) {
+        const files = this.collections.get(name);
+        return files ? [...files.keys()] : [];
+    }
+
+    async readFile(name, fileName) {
+        const data = this.collections.get(name)?.get(fileName);
+        return data ? Buffer.from(data) : null;
+    }
+
+    async writeFile(name, fileName, data) {
+        await this.openCollection(name);
+        this.collections.get(name).set(fileName, Buffer.from(data));
+    }
+
+    async deleteFile(name, fileName) {
+        this.collections.get(name)?.delete(fileName);
+    }
+
+    async stat(name, fileName) {
+        const data = this.collections.get(name)?.get(fileName);
+        return data ? { size: data.length, allocated: data.length } : null;
+    }
+}
@@ -0,0 +1,228 @@
+import { matchesFilter, getField, compareValues, compileSort, compileProjection } from './query.js';
+import { BoundedHeap } from './heap.js';
+
+/**
+ * Evaluates an aggregation expression against a document: `'$field.path'` reads a
+ * field, objects are evaluated key by key and anything else is a literal.
+ * @param {*} expression - The expression.
+ * @param {Object} doc - The document.
+ * @returns {*} The evaluated value.
+ */
+export function evaluate(expression, doc) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return getField(doc, expression.slice(1));
+    }
+    if (expression !== null && typeof expression === 'object' && !Array.isArray(expression) && !(expression instanceof Date)) {
+        const result = {};
+        for (const [key, value] of Object.entries(expression)) result[key] = evaluate(value, doc);
+        return result;
+    }
+    return expression;
+}
+
+/**
+ * Accumulators available in `$group`. Each has an initial state, a step applied per
+ * document value, and a finaliser producing the output field.
+ */
+const ACCUMULATORS = {
+    $sum: {
+        init: () => 0,
+        step: (total, value) => (typeof value === 'number' ? total + value : total)
+    },
+    $avg: {
+        init: () => ({ total: 0, count: 0 }),
+        step: (state, value) => {
+            if (typeof value === 'number') {
+                state.total += value;
+                state.count++;
+            }
+            return state;
+        },
+        result: (state) => (state.count > 0 ? state.total / state.count : null)
+    },
+    $min: {
+        init: () => undefined,
+        step: (min, value) => (value !== undefined && (min === undefined || compareValues(value, min) < 0) ? value : min),
+        result: (min) => (min === undefined ? null : min)
+    },
+    $max: {
+        init: () => undefined,
+        step: (max, value) => (value !== undefined && (max === undefined || compareValues(value, max) > 0) ? value : max),
+        result: (max) => (max === undefined ? null : max)
+    },
+    $count: {
+        init: () => 0,
+        step: (count) => count + 1,
+        ignoresValue: true
+    },
+    $push: {
+        init: () => [],
+        step: (list, value) => {
+            if (value !== undefined) list.push(value);
+            return list;
+        }
+    }
+};
+
+/**
+ * Parses a `$group` field such as `{ $sum: '$qty' }`.
+ */
+function compileAccumulator(field, spec) {
+    const entries = spec && typeof spec === 'object' ? Object.entries(spec) : [];
+    if (entries.length !== 1 || !ACCUMULATORS[entries[0][0]]) {
+        throw new Error(`Invalid accumulator for $group field "${field}"`);
+    }
+    const [op, expression] = entries[0];
+    return { field, expression, ...ACCUMULATORS[op] };
+}
+
+async function* matchStage(input, filter, matchDocument) {
+    for await (const doc of input) {
+        if (matchDocument(doc, filter)) yield doc;
+    }
+}
+
+async function* groupStage(input, spec) {
+    if (!spec || !('_id' in spec)) throw new Error('$group requires an _id expression');
+    const accumulators = Object.entries(spec)
+        .filter(([field]) => field !== '_id')
+        .map(([field, accumulator]) => compileAccumulator(field, accumulator));
+
+    // Groups are keyed by the JSON form of their _id so compound keys group correctly
+    const groups = new Map();
+    for await (const doc of input) {
+        const id = evaluate(spec._id, doc);
+        const key = JSON.stringify(id === undefined ? null : id);
+        let group = groups.get(key);
+        if (!group) {
+            group = { id: id === undefined ? null : id, states: accumulators.map(acc => acc.init()) };
+            groups.set(key, group);
+        }
+        accumulators.forEach((acc, i) => {
+            const value = acc.ignoresValue ? undefined : evaluate(acc.expression, doc);
+            group.states[i] = acc.step(group.states[i], value);
+        });
+    }
+
+    for (const { id, states } of groups.values()) {
+        const result = { _id: id };
+        accumulators.forEach((acc, i) => {
+            result[acc.field] = acc.result ? acc.result(states[i]) : states[i];
+        });
+        yield result;
+    }
+}
+
+async function* sortStage(input, spec, limit = Infinity) {
+    const { keyOf, compare } = compileSort(spec);
+    const compareEntries = (a, b) => compare(a.key, b.key) || a.seq - b.seq;
+    const heap = Number.isFinite(limit) && limit !== 0 ? new BoundedHeap(limit, compareEntries) : null;
+    const entries = [];
+    let seq = 0;
+
+    for await (const doc of input) {
+        const entry = { doc, key: keyOf(doc), seq: seq++ };
+        if (heap) heap.push(entry);
+        else entries.push(entry);
+    }
+
+    const sorted = heap ? heap.toSortedArray() : entries.sort(compareEntries);
+    for (const entry of sorted) yield entry.doc;
+}
+
+// A limit of 0 means no limit, as in find
+async function* limitStage(input, limit) {
+    if (limit === 0) limit = Infinity;
+    let count = 0;
+    for await (const doc of input) {
+        yield doc;
+        if (++count >= limit) return;
+    }
+}
+
+/**
+ * Builds a `$project` transform. Fields set to `0`/`false` are excluded; fields set to
+ * `1`/`true` are kept; any other value is an expression computing a new field. `id` and
+ * `_id` are kept unless excluded explicitly.
+ */
+function compileProjectStage(spec) {
+    const entries = Object.entries(spec);
+    const isFlag = (value) => value === 0 || value === 1 || typeof value === 'boolean';
+    const excluded = entries.filter(([, value]) => isFlag(value) && !value).map(([key]) => key);
+    const included = entries.filter(([, value]) => isFlag(value) && value).map(([key]) => key);
+    const computed = entries.filter(([, value]) => !isFlag(value));
+
+    if (included.length === 0 && computed.length === 0) {
+        return compileProjection(spec) || ((doc) => doc);
+    }
+    if (excluded.some(key => key !== 'id' && key !== '_id')) {
+        throw new Error('$project cannot mix inclusion and exclusion');
+    }
+
+    const project = compileProjection(Object.fromEntries([
+        ...included.map(key => [key, 1]),
+        ...(excluded.includes('_id') ? [] : [['_id', 1]]),
+        ...(excluded.includes('id') ? [['id', 0]] : [])
+    ]));
+
+    return (doc) => {
+        const result = project(doc);
+        for (const [key, expression] of computed) result[key] = evaluate(expression, doc);
+        return result;
+    };
+}
+
+async function* projectStage(input, spec) {
+    const project = compileProjectStage(spec);
+    for await (const doc of input) yield project(doc);
+}
+
+/**
+ * Runs an aggregation pipeline over a stream of documents. Supported stages are
+ * `$match`, `$group`, `$sort`, `$limit` and `$project`. Stages are chained as async
+ * generators, so only `$group` (one state per group) and `$sort` hold documents in
+ * memory; a `$sort` directly followed by `$limit` keeps just the top documents.
+ * As in `find`, `$limit: 0` means no limit.
+ *
+ * @param {AsyncIterable<Object>} documents - Source documents.
+ * @param {Object[]} pipeline - The pipeline stages.
+ * @param {Function} [matchDocument] - Matcher for `$match` stages that precede any
+ * reshaping stage, so they see stored documents exactly like `find` does.
+ * @returns {Promise<Object[]>} The pipeline output.
+ */
+export async function runPipeline(documents, pipeline, matchDocument = (doc, filter) => matchesFilter(doc, filter)) {
+    let stream = documents;
+    let reshaped = false;
+
+    for (let i = 0; i < pipeline.length; i++) {
+        const stage = pipeline[i];
+        const [name, spec] = Object.entries(stage)[0] || [];
+        switch (name) {
+            case '$match':
+                stream = matchStage(stream, spec, reshaped ? (doc, filter) => matchesFilter(doc, filter) : matchDocument);
+                break;
+            case '$group':
+                stream = groupStage(stream, spec);
+                reshaped = true;
+                break;
+            case '$sort': {
+                const next = pipeline[i + 1];
+                stream = sortStage(stream, spec, next && '$limit' in next ? next.$limit : Infinity);
+                break;
+            }
+            case '$limit':
+                stream = limitStage(stream, spec);
+                break;
+            case '$project':
+                stream = projectStage(stream, spec);
+                reshaped = true;
+                break;
+            default:
+                throw new Error(`Unknown aggregation stage: ${name}`);
+        }
+    }
+
+    const results = [];
+    for await (const doc of stream) results.push(doc);
+    return results;
+}
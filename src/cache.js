@@ -0,0 +1,105 @@
+import { deepClone } from './query.js';
+
+/**
+ * In-memory LRU cache of parsed segments, bounded by a segment count and/or a byte
+ * budget (measured on the serialized segment). Values are copied on the way in and on
+ * the way out, so callers can never mutate cached records through returned references.
+ */
+export class SegmentCache {
+    /**
+     * @param {Object} [options] - Cache budget.
+     * @param {number} [options.maxSegments=Infinity] - Maximum number of cached segments.
+     * @param {number} [options.maxBytes=Infinity] - Maximum total serialized size in bytes.
+     */
+    constructor({ maxSegments = Infinity, maxBytes = Infinity } = {}) {
+        this.maxSegments = maxSegments;
+        this.maxBytes = maxBytes;
+        this.entries = new Map(); // key -> { records, bytes }, oldest first
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    /**
+     * Returns a copy of the cached records, refreshing their recency.
+     * @param {string} key - Segment key.
+     * @returns {Object|undefined} The records, or undefined on a miss.
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.misses++;
+            return undefined;
+        }
+        this.hits++;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return deepClone(entry.records);
+    }
+
+    /**
+     * Stores a copy of a segment's records, evicting least recently used segments
+     * until the cache fits its budget again.
+     * @param {string} key - Segment key.
+     * @param {Object} records - Parsed records.
+     * @param {number} bytes - Serialized size of the segment.
+     */
+    set(key, records, bytes) {
+        this.delete(key);
+        if (bytes > this.maxBytes || this.maxSegments < 1) return;
+
+        this.entries.set(key, { records: deepClone(records), bytes });
+        this.bytes += bytes;
+
+        while (this.entries.size > this.maxSegments || this.bytes > this.maxBytes) {
+            const [oldest] = this.entries.keys();
+            this.delete(oldest);
+            this.evictions++;
+        }
+    }
+
+    /**
+     * Removes a segment from the cache.
+     * @param {string} key - Segment key.
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.bytes -= entry.bytes;
+        this.entries.delete(key);
+    }
+
+    /**
+     * Removes every segment whose key starts with `prefix`.
+     * @param {string} prefix - Key prefix (e.g. a collection directory).
+     */
+    deletePrefix(prefix) {
+        for (const key of [...this.entries.keys()]) {
+            if (key.startsWith(prefix)) this.delete(key);
+        }
+    }
+
+    /**
+     * Empties the cache; statistics are kept.
+     */
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    /**
+     * @returns {{ hits: number, misses: number, evictions: number, hitRate: number, segments: number, bytes: number }}
+     */
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            hitRate: lookups === 0 ? 0 : this.hits / lookups,
+            segments: this.entries.size,
+            bytes: this.bytes
+        };
+    }
+}
@@ -0,0 +1,145 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+/**
+ * Prefix of encoded segments. A segment holding plain JSON starts with `{` instead,
+ * so segments written before codecs existed are read unchanged.
+ */
+const HEADER = 'SEGMON1 ';
+
+/**
+ * Built-in segment codecs. A codec turns the JSON text of a segment (indented by
+ * `indent`, compact when unset) into the bytes stored on disk and back; `plain` codecs
+ * store that text as is, without a header.
+ *
+ * - `json`: pretty-printed JSON, the historical format (default).
+ * - `compact`: JSON without whitespace.
+ * - `gzip` / `brotli`: compact JSON compressed with `zlib`.
+ */
+export const BUILTIN_CODECS = {
+    json: {
+        name: 'json',
+        plain: true,
+        indent: 2,
+        encode: async (text) => Buffer.from(text),
+        decode: async (data) => data
+    },
+    compact: {
+        name: 'compact',
+        plain: true,
+        encode: async (text) => Buffer.from(text),
+        decode: async (data) => data
+    },
+    gzip: {
+        name: 'gzip',
+        encode: (text) => gzip(text),
+        decode: (data) => gunzip(data)
+    },
+    brotli: {
+        name: 'brotli',
+        encode: (text) => brotliCompress(text),
+        decode: (data) => brotliDecompress(data)
+    }
+};
+
+/**
+ * Validates a custom codec definition.
+ * @param {Object} codec - `{ name, encode(string): Promise<Buffer>, decode(Buffer): Promise<Buffer> }`.
+ * @returns {Object} The codec.
+ * @throws {Error} If the codec is malformed.
+ */
+function checkCodec(codec) {
+    if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+        throw new Error('A codec must provide encode and decode functions');
+    }
+    if (typeof codec.name !== 'string' || !/^[\w.-]+$/.test(codec.name)) {
+        throw new Error('A codec must have a name made of letters, digits, "_", "." or "-"');
+    }
+    if (codec.plain) {
+        throw new Error('Custom codecs cannot be plain: their segments must record the codec name');
+    }
+    return codec;
+}
+
+/**
+ * Encodes and decodes segment files. Every encoded segment records the codec that wrote
+ * it, so a collection may mix segments written with different codecs.
+ */
+export class SegmentCodec {
+    /**
+     * @param {string|Object} [codec='json'] - Name of a built-in codec, or a custom codec object.
+     * @param {Object[]} [extra=[]] - Further custom codecs that existing segments may use.
+     * @throws {Error} If the codec is unknown or malformed.
+     */
+    constructor(codec = 'json', extra = []) {
+        this.codecs = new Map(Object.entries(BUILTIN_CODECS));
+        for (const custom of [codec, ...extra]) {
+            if (typeof custom === 'string') continue;
+            checkCodec(custom);
+            if (BUILTIN_CODECS[custom.name]) throw new Error(`Codec name "${custom.name}" is reserved`);
+            this.codecs.set(custom.name, custom);
+        }
+        this.codec = this.get(typeof codec === 'string' ? codec : codec.name);
+    }
+
+    /**
+     * Looks up a codec by name.
+     * @param {string} name - Codec name.
+     * @returns {Object} The codec.
+     * @throws {Error} If no such codec is registered.
+     */
+    get(name) {
+        const codec = this.codecs.get(name);
+        if (!codec) throw new Error(`Unknown segment codec "${name}"`);
+        return codec;
+    }
+
+    /**
+     * Encodes segment records with the configured codec, or with `codecName`.
+     * @param {Object} records - Segment records.
+     * @param {string} [codecName] - Codec to use instead of the configured one.
+     * @returns {Promise<{data: Buffer, size: number, text: string}>} Bytes to store, the JSON
+     * text they encode, and its size (a measure of the records' in-memory weight, whatever the codec).
+     */
+    async encode(records, codecName = null) {
+        const codec = codecName ? this.get(codecName) : this.codec;
+        const text = JSON.stringify(records, null, codec.indent);
+        const payload = Buffer.from(await codec.encode(text));
+        const data = codec.plain ? payload : Buffer.concat([Buffer.from(`${HEADER}${codec.name}\n`), payload]);
+        return { data, size: Buffer.byteLength(text), text };
+    }
+
+    /**
+     * Decodes a stored segment, whichever codec wrote it.
+     * @param {Buffer} data - Stored bytes.
+     * @returns {Promise<{records: Object, codec: string, size: number}>} The records, the name of
+     * the codec that wrote them and the size of their JSON text.
+     * @throws {Error} If the segment names a codec that is not registered.
+     */
+    async decode(data) {
+        const { codec, payload } = this.inspect(data);
+        const text = Buffer.from(await this.get(codec).decode(payload)).toString('utf8');
+        const records = JSON.parse(text);
+        return { records, codec, size: Buffer.byteLength(text) };
+    }
+
+    /**
+     * Reads the codec a stored segment was written with. Plain JSON segments are told
+     * apart by their layout: pretty-printed ones span several lines.
+     * @param {Buffer} data - Stored bytes.
+     * @returns {{codec: string, payload: Buffer}} Codec name and encoded payload.
+     */
+    inspect(data) {
+        if (data.subarray(0, HEADER.length).toString('latin1') !== HEADER) {
+            return { codec: data.includes(0x0a) ? 'json' : 'compact', payload: data };
+        }
+        const end = data.indexOf(0x0a);
+        if (end === -1) throw new Error('Corrupt segment header');
+        return { codec: data.subarray(HEADER.length, end).toString('utf8'), payload: data.subarray(end + 1) };
+    }
+}
@@ -0,0 +1,121 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+/**
+ * Prefix of encrypted files, followed by the key ID and a newline. The whole header is
+ * authenticated along with the content, so it cannot be altered undetected.
+ */
+const HEADER = 'SEGMON-AES1 ';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * Normalizes a key to a 32-byte Buffer. Strings are read as hex (64 characters) or base64.
+ * @param {Buffer|string} key - The key.
+ * @param {string} keyId - The key's ID, for error messages.
+ * @returns {Buffer} The key.
+ * @throws {Error} If the key is not 32 bytes long.
+ */
+function toKey(key, keyId) {
+    const buffer = typeof key === 'string'
+        ? Buffer.from(key, /^[0-9a-f]{64}$/i.test(key) ? 'hex' : 'base64')
+        : key;
+    if (!Buffer.isBuffer(buffer) || buffer.length !== KEY_LENGTH) {
+        throw new Error(`Encryption key "${keyId}" must be ${KEY_LENGTH} bytes (a Buffer, 64 hex characters or base64)`);
+    }
+    return buffer;
+}
+
+/**
+ * Tells whether stored bytes are encrypted, and with which key.
+ * @param {Buffer} data - Stored bytes.
+ * @returns {string|null} The key ID (empty if the header is damaged), or null for unencrypted data.
+ */
+export function encryptionKeyId(data) {
+    if (data.subarray(0, HEADER.length).toString('latin1') !== HEADER) return null;
+    const end = data.indexOf(0x0a);
+    return end === -1 ? '' : data.subarray(HEADER.length, end).toString('utf8');
+}
+
+/**
+ * Encrypts collection files with AES-256-GCM. Each file records the ID of the key that
+ * encrypted it, so files encrypted with an older key stay readable while a collection
+ * is being rotated to a new one.
+ */
+export class FileCipher {
+    /**
+     * @param {Object} options - Encryption options.
+     * @param {Buffer|string|function(string): (Buffer|string|Promise<Buffer|string>)} options.key - The key,
+     * or a provider returning the key for a key ID.
+     * @param {string} [options.keyId='default'] - ID of the key used for writing.
+     * @throws {Error} If no key is given or the key ID is invalid.
+     */
+    constructor({ key, keyId = 'default' } = {}) {
+        if (key === undefined || key === null) throw new Error('Encryption requires a key or a key provider');
+        if (typeof keyId !== 'string' || !/^[\w.-]+$/.test(keyId)) {
+            throw new Error('Encryption key IDs are made of letters, digits, "_", "." or "-"');
+        }
+        if (typeof key !== 'function') toKey(key, keyId);
+        this.provider = typeof key === 'function' ? key : (id) => (id === keyId ? key : null);
+        this.keyId = keyId;
+        this.keys = new Map(); // key ID -> Promise<Buffer>
+    }
+
+    /**
+     * Resolves a key by ID, asking the provider once per ID.
+     * @param {string} keyId - Key ID.
+     * @returns {Promise<Buffer>} The key.
+     * @throws {Error} If the provider has no such key.
+     */
+    async getKey(keyId) {
+        if (!this.keys.has(keyId)) {
+            const loading = Promise.resolve(this.provider(keyId)).then(key => {
+                if (key === undefined || key === null) throw new Error(`No encryption key available for key ID "${keyId}"`);
+                return toKey(key, keyId);
+            });
+            loading.catch(() => this.keys.delete(keyId));
+            this.keys.set(keyId, loading);
+        }
+        return this.keys.get(keyId);
+    }
+
+    /**
+     * Encrypts data with the current key.
+     * @param {Buffer|string} data - Plain bytes.
+     * @returns {Promise<Buffer>} Header, IV, authentication tag and ciphertext.
+     */
+    async seal(data) {
+        const key = await this.getKey(this.keyId);
+        const header = Buffer.from(`${HEADER}${this.keyId}\n`);
+        const iv = randomBytes(IV_LENGTH);
+        const cipher = createCipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+        cipher.setAAD(header);
+        const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+        return Buffer.concat([header, iv, cipher.getAuthTag(), ciphertext]);
+    }
+
+    /**
+     * Decrypts and authenticates data produced by {@link FileCipher#seal}.
+     * @param {Buffer} data - Stored bytes, starting with the encryption header.
+     * @returns {Promise<Buffer|null>} Plain bytes, or null if the data fails authentication.
+     * @throws {Error} If the key the data names is not available.
+     */
+    async open(data) {
+        const keyId = encryptionKeyId(data);
+        const start = data.indexOf(0x0a) + 1;
+        if (!keyId || data.length < start + IV_LENGTH + TAG_LENGTH) return null;
+
+        const key = await this.getKey(keyId);
+        const iv = data.subarray(start, start + IV_LENGTH);
+        const tag = data.subarray(start + IV_LENGTH, start + IV_LENGTH + TAG_LENGTH);
+        const decipher = createDecipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+        decipher.setAAD(data.subarray(0, start));
+        decipher.setAuthTag(tag);
+        try {
+            return Buffer.concat([decipher.update(data.subarray(start + IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+        } catch {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Base class for every error raised by Segmon, so callers can tell database
+ * failures apart from their own with a single `instanceof` check.
+ */
+export class SegmonError extends Error {
+    /**
+     * @param {string} message - Human readable description.
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Raised when a transaction keeps conflicting with concurrent writes and
+ * has run out of retries.
+ */
+export class TransactionConflictError extends SegmonError {
+    /**
+     * @param {string[]} collections - Collections that were modified concurrently.
+     * @param {number} attempts - Number of attempts made before giving up.
+     */
+    constructor(collections, attempts) {
+        super(`Transaction conflicted on [${collections.join(', ')}] after ${attempts} attempts`);
+        this.collections = collections;
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Raised when a write would give two documents the same key in a unique index.
+ */
+export class DuplicateKeyError extends SegmonError {
+    /**
+     * @param {string} collection - Collection name.
+     * @param {string} index - Name of the violated unique index.
+     * @param {*} key - The duplicated key value.
+     * @param {string} conflictingId - ID of the document that already holds the key.
+     */
+    constructor(collection, index, key, conflictingId) {
+        super(`Duplicate key ${JSON.stringify(key)} for unique index "${index}" in ${collection} (held by ${conflictingId})`);
+        this.collection = collection;
+        this.index = index;
+        this.key = key;
+        this.conflictingId = conflictingId;
+    }
+}
+
+/**
+ * Raised when a cross-process collection lock could not be acquired in time.
+ */
+export class LockTimeoutError extends SegmonError {
+    /**
+     * @param {string} collection - Collection name.
+     * @param {number} timeout - How long acquisition was attempted, in milliseconds.
+     * @param {{pid: number, hostname: string, acquiredAt: number}|null} holder - Current lock holder, if known.
+     */
+    constructor(collection, timeout, holder) {
+        const owner = holder ? ` (held by pid ${holder.pid} on ${holder.hostname})` : '';
+        super(`Timed out after ${timeout}ms waiting for the lock on ${collection}${owner}`);
+        this.collection = collection;
+        this.timeout = timeout;
+        this.holder = holder;
+    }
+}
+
+/**
+ * Raised when an `ifRev` precondition does not match the stored document revision.
+ */
+export class RevisionConflictError extends SegmonError {
+    /**
+     * @param {string} collection - Collection name.
+     * @param {string} id - Document ID.
+     * @param {number} expected - Revision the caller expected.
+     * @param {number|null} actual - Stored revision, or null if the document does not exist.
+     */
+    constructor(collection, id, expected, actual) {
+        super(actual === null
+            ? `Document ${id} in ${collection} does not exist (expected revision ${expected})`
+            : `Document ${id} in ${collection} is at revision ${actual}, expected ${expected}`);
+        this.collection = collection;
+        this.id = id;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * Raised when a document does not satisfy its collection's schema. Lists every violation.
+ */
+export class SchemaValidationError extends SegmonError {
+    /**
+     * @param {string} collection - Collection name.
+     * @param {{path: string, keyword: string, message: string}[]} errors - Every violation found.
+     * @param {{id: string|null, index: number|null}} [location] - The offending document's ID,
+     * and its position when it came from a bulk call.
+     */
+    constructor(collection, errors, { id = null, index = null } = {}) {
+        const details = errors.map(e => `${e.path || '(root)'} ${e.message}`).join('; ');
+        super(`Document${id ? ` ${id}` : ''} in ${collection} failed schema validation: ${details}`);
+        this.collection = collection;
+        this.errors = errors;
+        this.id = id;
+        this.index = index;
+    }
+}
+
+/**
+ * Raised when an encrypted collection file fails authentication: it was encrypted
+ * with a different key, or its content was modified.
+ */
+export class AuthenticationError extends SegmonError {
+    /**
+     * @param {string} collection - Collection name.
+     * @param {string} file - Filename within the collection directory.
+     * @param {string|null} keyId - ID of the key the file claims to be encrypted with, if readable.
+     */
+    constructor(collection, file, keyId) {
+        super(`${file} in ${collection} failed authentication${keyId === null ? '' : ` with key "${keyId}"`}: wrong key or tampered data`);
+        this.collection = collection;
+        this.file = file;
+        this.keyId = keyId;
+    }
+}
+
+/**
+ * Raised when a document inserted at a caller-supplied ID would land in a segment that
+ * has already reached `segmentSize` or `maxItemsPerSegment`.
+ */
+export class SegmentFullError extends SegmonError {
+    /**
+     * @param {string} collection - Collection name.
+     * @param {string} file - Segment file the ID belongs to.
+     * @param {string} id - The ID that could not be inserted.
+     */
+    constructor(collection, file, id) {
+        super(`Cannot insert ${id} into ${collection}: ${file} is full`);
+        this.collection = collection;
+        this.file = file;
+        this.id = id;
+    }
+}
+
+/**
+ * Raised by a change stream whose consumer fell more than `maxBuffered` events behind.
+ */
+export class ChangeStreamOverflowError extends SegmonError {
+    /**
+     * @param {string} collection - Collection name.
+     * @param {number} maxBuffered - The buffer limit that was exceeded.
+     */
+    constructor(collection, maxBuffered) {
+        super(`Change stream on ${collection} fell more than ${maxBuffered} events behind`);
+        this.collection = collection;
+        this.maxBuffered = maxBuffered;
+    }
+}
@@ -0,0 +1,28 @@
+/**
+ * Field holding a document's expiry time: a Date, an ISO-8601 string or epoch milliseconds.
+ */
+export const EXPIRY_FIELD = 'expiresAt';
+
+/**
+ * Reads a document's expiry time.
+ * @param {Object} doc - The document.
+ * @returns {number|null} Expiry in epoch milliseconds, or null if the document never expires
+ * (or its `expiresAt` cannot be interpreted as a time).
+ */
+export function expiryOf(doc) {
+    const value = doc[EXPIRY_FIELD];
+    if (value === undefined || value === null) return null;
+    const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Tells whether a document has expired.
+ * @param {Object} doc - The document.
+ * @param {number} [now=Date.now()] - Current time in epoch milliseconds.
+ * @returns {boolean} True once `expiresAt` is reached.
+ */
+export function isExpired(doc, now = Date.now()) {
+    const expiry = expiryOf(doc);
+    return expiry !== null && expiry <= now;
+}
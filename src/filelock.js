@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { LockTimeoutError } from './errors.js';
+
+/**
+ * Cross-process exclusive locks backed by lockfiles created with `O_EXCL`.
+ *
+ * A held lock is refreshed (its mtime touched) periodically, so a lock whose file has
+ * not been touched for `stale` milliseconds, or whose owner process is gone on this
+ * host, is considered abandoned and taken over. Takeovers are serialized through a
+ * second lockfile, so a waiter never removes a lock that someone else has just acquired.
+ */
+export class FileLockManager {
+    /**
+     * @param {Object} [options] - Lock options.
+     * @param {number} [options.timeout=10000] - How long to wait for a lock before failing, in ms.
+     * @param {number} [options.stale=30000] - Age after which an untouched lockfile is considered abandoned, in ms.
+     * @param {number} [options.retryInterval=25] - Delay between acquisition attempts, in ms.
+     */
+    constructor({ timeout = 10000, stale = 30000, retryInterval = 25 } = {}) {
+        this.timeout = timeout;
+        this.stale = stale;
+        this.retryInterval = retryInterval;
+    }
+
+    /**
+     * Acquires the lock guarded by `lockPath`, waiting for other holders.
+     * @param {string} lockPath - Lockfile path.
+     * @param {string} label - Name used in error messages (the collection).
+     * @returns {Promise<Function>} An async release function.
+     * @throws {LockTimeoutError} If the lock is still held after `timeout` ms.
+     */
+    async acquire(lockPath, label) {
+        const owner = { pid: process.pid, hostname: os.hostname(), token: randomUUID(), acquiredAt: Date.now() };
+        const deadline = Date.now() + this.timeout;
+
+        for (;;) {
+            try {
+                await fs.writeFile(lockPath, JSON.stringify(owner), { flag: 'wx' });
+                return this.holdLock(lockPath, owner);
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+            }
+
+            const holder = await this.readHolder(lockPath);
+            if (holder && await this.isStale(lockPath, holder)) {
+                await this.takeOver(lockPath, holder);
+                continue;
+            }
+
+            if (Date.now() >= deadline) {
+                throw new LockTimeoutError(label, this.timeout, holder && holder.info);
+            }
+            await new Promise(resolve => setTimeout(resolve, this.retryInterval));
+        }
+    }
+
+    /**
+     * Removes an abandoned lockfile. Between reading the holder and removing its file, another
+     * waiter may have removed it and acquired the lock itself, so the removal happens under a
+     * `.takeover` guard file, and only if the lockfile still belongs to the same stale holder.
+     * @param {string} lockPath - Lockfile path.
+     * @param {{info: Object|null, mtimeMs: number}} holder - The holder found to be stale.
+     * @returns {Promise<void>}
+     */
+    async takeOver(lockPath, holder) {
+        const guardPath = `${lockPath}.takeover`;
+        try {
+            await fs.writeFile(guardPath, '', { flag: 'wx' });
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            // A takeover only lasts a moment: a guard this old was left by a crashed process
+            const guard = await fs.stat(guardPath).catch(() => null);
+            if (guard && Date.now() - guard.mtimeMs > this.stale) await fs.rm(guardPath, { force: true });
+            return;
+        }
+
+        try {
+            const current = await this.readHolder(lockPath);
+            const token = (entry) => (entry.info ? entry.info.token : null);
+            if (current && current.mtimeMs === holder.mtimeMs && token(current) === token(holder)) {
+                await fs.rm(lockPath, { force: true });
+            }
+        } finally {
+            await fs.rm(guardPath, { force: true });
+        }
+    }
+
+    /**
+     * Keeps a lock fresh while held and returns its release function.
+     */
+    holdLock(lockPath, owner) {
+        const refresh = setInterval(() => {
+            const now = new Date();
+            fs.utimes(lockPath, now, now).catch(() => {});
+        }, Math.max(this.stale / 3, 10));
+        refresh.unref();
+
+        return async () => {
+            clearInterval(refresh);
+            const holder = await this.readHolder(lockPath);
+            // Only remove the lockfile if it is still ours (it may have been taken over as stale)
+            if (holder && holder.info && holder.info.token === owner.token) {
+                await fs.rm(lockPath, { force: true });
+            }
+        };
+    }
+
+    /**
+     * Reads the current lockfile.
+     * @returns {Promise<{info: Object|null, mtimeMs: number}|null>} Null if there is no lockfile.
+     */
+    async readHolder(lockPath) {
+        try {
+            const [content, stats] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+            let info = null;
+            try {
+                info = JSON.parse(content);
+            } catch {
+                // Owner crashed between creating and filling the lockfile
+            }
+            return { info, mtimeMs: stats.mtimeMs };
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    /**
+     * A lock is stale when it has not been refreshed in time, or when its owner
+     * process no longer exists on this host.
+     */
+    async isStale(lockPath, holder) {
+        if (Date.now() - holder.mtimeMs > this.stale) return true;
+        if (!holder.info || holder.info.hostname !== os.hostname()) return false;
+        try {
+            process.kill(holder.info.pid, 0);
+            return false;
+        } catch (err) {
+            return err.code === 'ESRCH';
+        }
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Keeps the `capacity` smallest items pushed into it, according to `compare`,
+ * without ever holding more than `capacity` items. Backed by a binary max-heap
+ * so the current worst item can be evicted in O(log k).
+ */
+export class BoundedHeap {
+    /**
+     * @param {number} capacity - Maximum number of items to retain.
+     * @param {Function} compare - Comparator returning negative when `a` sorts before `b`.
+     */
+    constructor(capacity, compare) {
+        this.capacity = capacity;
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Offers an item; it is kept only if it ranks among the best `capacity` seen so far.
+     * @param {*} item - The item to offer.
+     */
+    push(item) {
+        if (this.capacity <= 0) return;
+        if (this.items.length < this.capacity) {
+            this.items.push(item);
+            this._siftUp(this.items.length - 1);
+        } else if (this.compare(item, this.items[0]) < 0) {
+            this.items[0] = item;
+            this._siftDown(0);
+        }
+    }
+
+    /**
+     * Returns the retained items in ascending order.
+     * @returns {Array} Sorted items.
+     */
+    toSortedArray() {
+        return [...this.items].sort(this.compare);
+    }
+
+    _siftUp(index) {
+        const { items } = this;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(items[index], items[parent]) <= 0) break;
+            [items[index], items[parent]] = [items[parent], items[index]];
+            index = parent;
+        }
+    }
+
+    _siftDown(index) {
+        const { items } = this;
+        for (;;) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let largest = index;
+            if (left < items.length && this.compare(items[left], items[largest]) > 0) largest = left;
+            if (right < items.length && this.compare(items[right], items[largest]) > 0) largest = right;
+            if (largest === index) return;
+            [items[index], items[largest]] = [items[largest], items[index]];
+            index = largest;
+        }
+    }
+}
@@ -0,0 +1,486 @@
+import { getField, matchesCondition } from './query.js';
+import { DuplicateKeyError } from './errors.js';
+
+const INDEX_PREFIX = 'index_';
+// encodeURIComponent always escapes it, so it never appears in an encoded index name
+const PART_SEPARATOR = '@';
+
+/**
+ * Builds the filename an index definition is persisted under, inside its collection directory.
+ * @param {string} name - Index name.
+ * @returns {string} Index filename.
+ */
+export function indexFileName(name) {
+    return `${INDEX_PREFIX}${encodeURIComponent(name)}.json`;
+}
+
+/**
+ * Builds the filename of the part of an index that covers one segment.
+ * @param {string} name - Index name.
+ * @param {string} segmentFile - Segment filename.
+ * @returns {string} Index part filename, e.g. `index_email@segment_3.json`.
+ */
+export function indexPartFileName(name, segmentFile) {
+    return `${INDEX_PREFIX}${encodeURIComponent(name)}${PART_SEPARATOR}${segmentFile}`;
+}
+
+/**
+ * Checks whether a field condition can be answered from index keys. Documents missing
+ * the field are not indexed, so conditions that could match `undefined` need a scan.
+ */
+function canUseIndex(condition) {
+    try {
+        return !matchesCondition(undefined, condition);
+    } catch {
+        return false;
+    }
+}
+
+const isScalar = (v) => v === null || ['number', 'boolean'].includes(typeof v);
+
+/**
+ * Returns the exact index keys an equality-style condition can match, or null when
+ * the keys have to be tested one by one.
+ */
+function exactKeys(condition) {
+    if (isScalar(condition)) return [JSON.stringify(condition)];
+    if (condition === null || typeof condition !== 'object') return null;
+
+    const ops = Object.keys(condition);
+    if (ops.length !== 1) return null;
+    if (ops[0] === '$eq' && (isScalar(condition.$eq) || typeof condition.$eq === 'string')) {
+        return [JSON.stringify(condition.$eq)];
+    }
+    if (ops[0] === '$in' && Array.isArray(condition.$in) &&
+        condition.$in.every(v => isScalar(v) || typeof v === 'string')) {
+        return condition.$in.map(v => JSON.stringify(v));
+    }
+    return null;
+}
+
+/**
+ * A secondary index over one or more fields: maps each indexed value to the IDs of
+ * the documents holding it. Single-field indexes on arrays are multikey (the whole
+ * array and each of its elements are indexed). Compound indexes key on the tuple of
+ * field values, with missing fields as `null`. Documents missing every indexed field
+ * are not indexed, so they never clash in a unique index.
+ *
+ * Entries are also grouped by the segment holding each document, so the index is
+ * persisted as one part per segment and a write only rewrites the parts of the
+ * segments it changes.
+ */
+export class Index {
+    /**
+     * @param {{ name: string, fields: string[], unique: boolean }} definition
+     */
+    constructor({ name, fields, unique = false }) {
+        this.name = name;
+        this.fields = fields;
+        this.unique = unique;
+        this.entries = new Map();
+        this.segments = new Map();
+    }
+
+    /**
+     * Computes the index keys of a document.
+     * @param {Object|undefined} doc - The document.
+     * @returns {Map<string, *>} Serialized key to key value.
+     */
+    keysOf(doc) {
+        const keys = new Map();
+        if (!doc) return keys;
+
+        if (this.fields.length > 1) {
+            const values = this.fields.map(field => getField(doc, field));
+            if (values.every(v => v === undefined)) return keys;
+            const tuple = values.map(v => (v === undefined ? null : v));
+            keys.set(JSON.stringify(tuple), tuple);
+            return keys;
+        }
+
+        const value = getField(doc, this.fields[0]);
+        if (value === undefined) return keys;
+        keys.set(JSON.stringify(value), value);
+        if (Array.isArray(value)) {
+            for (const element of value) keys.set(JSON.stringify(element), element);
+        }
+        return keys;
+    }
+
+    /**
+     * Returns the IDs holding a key.
+     * @param {string} key - Serialized key.
+     * @returns {Set<string>} Document IDs (empty if none).
+     */
+    idsFor(key) {
+        const entry = this.entries.get(key);
+        return entry ? entry.ids : new Set();
+    }
+
+    add(key, value, id, segmentFile) {
+        let entry = this.entries.get(key);
+        if (!entry) {
+            entry = { value, ids: new Set() };
+            this.entries.set(key, entry);
+        }
+        entry.ids.add(id);
+
+        let part = this.segments.get(segmentFile);
+        if (!part) {
+            part = new Map();
+            this.segments.set(segmentFile, part);
+        }
+        if (!part.has(key)) part.set(key, new Set());
+        part.get(key).add(id);
+    }
+
+    remove(key, id, segmentFile) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            entry.ids.delete(id);
+            if (entry.ids.size === 0) this.entries.delete(key);
+        }
+
+        const part = this.segments.get(segmentFile);
+        if (!part || !part.has(key)) return;
+        part.get(key).delete(id);
+        if (part.get(key).size === 0) part.delete(key);
+        if (part.size === 0) this.segments.delete(segmentFile);
+    }
+
+    /**
+     * Adds the entries of a persisted part.
+     * @param {string} segmentFile - The segment the part covers.
+     * @param {{ entries: Object<string, string[]> }} part - Part contents, as from {@link partJSON}.
+     */
+    loadPart(segmentFile, { entries }) {
+        for (const [key, ids] of Object.entries(entries)) {
+            const value = JSON.parse(key);
+            for (const id of ids) this.add(key, value, id, segmentFile);
+        }
+    }
+
+    /**
+     * Serializes the entries of the documents held by one segment.
+     * @param {string} segmentFile - Segment filename.
+     * @returns {{ entries: Object<string, string[]> }|null} Part contents, or null if the
+     * segment holds no indexed document.
+     */
+    partJSON(segmentFile) {
+        const part = this.segments.get(segmentFile);
+        if (!part) return null;
+        const entries = {};
+        for (const [key, ids] of part) entries[key] = [...ids];
+        return { entries };
+    }
+
+    /**
+     * Collects the IDs of documents that may satisfy a field condition. The result is a
+     * superset: callers still run the full filter against each candidate document.
+     * @param {*} condition - The filter value for this index's field.
+     * @returns {Set<string>|null} Candidate IDs, or null if the index cannot help.
+     */
+    lookup(condition) {
+        if (!canUseIndex(condition)) return null;
+
+        const ids = new Set();
+        const keys = exactKeys(condition);
+        if (keys) {
+            for (const key of keys) this.idsFor(key).forEach(id => ids.add(id));
+            return ids;
+        }
+
+        for (const { value, ids: holders } of this.entries.values()) {
+            if (matchesCondition(value, condition)) holders.forEach(id => ids.add(id));
+        }
+        return ids;
+    }
+
+    /**
+     * Collects the IDs of documents that may satisfy a condition on every field of a
+     * compound index. Exact values on every field make a single key lookup; other
+     * conditions (substrings, ranges, ...) are tested against each stored tuple.
+     * @param {Array} conditions - The filter value for each indexed field, in field order.
+     * @returns {Set<string>|null} Candidate IDs, or null if the index cannot help.
+     */
+    lookupCompound(conditions) {
+        if (!conditions.every(canUseIndex)) return null;
+
+        const keys = conditions.map(exactKeys);
+        if (keys.every(k => k && k.length === 1)) {
+            // Serialized tuples are the serialized values joined, see keysOf
+            return new Set(this.idsFor(`[${keys.map(([key]) => key).join(',')}]`));
+        }
+
+        const ids = new Set();
+        for (const { value, ids: holders } of this.entries.values()) {
+            // Missing fields are stored as null; conditions that pass canUseIndex cannot match them
+            if (value.every((v, i) => matchesCondition(v, conditions[i]))) holders.forEach(id => ids.add(id));
+        }
+        return ids;
+    }
+
+    /**
+     * Describes the index without its entries.
+     * @returns {{ name: string, fields: string[], unique: boolean }}
+     */
+    describe() {
+        return { name: this.name, fields: [...this.fields], unique: this.unique };
+    }
+
+    toJSON() {
+        return this.describe();
+    }
+}
+
+/**
+ * Loads, caches and maintains the secondary indexes of every collection.
+ *
+ * Each index is stored as a definition file plus one part file per segment. Index
+ * maintenance is driven by segment writes: before a set of segment changes is
+ * committed, {@link IndexManager#prepare} diffs the old and new records and returns
+ * the index parts of the changed segments, which the storage layer commits in the
+ * same journal as the segments so indexes never drift from the data.
+ */
+export class IndexManager {
+    /**
+     * @param {import('./storage.js').StorageManager} storage - Owning storage manager.
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.collections = new Map();
+    }
+
+    /**
+     * Returns the indexes of a collection, loading them from disk on first use.
+     * @param {string} name - Collection name.
+     * @returns {Promise<Map<string, Index>>} Index name to index.
+     */
+    async get(name) {
+        if (!this.collections.has(name)) {
+            const loading = this.load(name).catch(err => {
+                this.collections.delete(name);
+                throw err;
+            });
+            this.collections.set(name, loading);
+        }
+        return this.collections.get(name);
+    }
+
+    async load(name) {
+        const indexes = new Map();
+        const files = (await this.storage.listFiles(name))
+            .filter(f => f.startsWith(INDEX_PREFIX) && f.endsWith('.json'));
+        for (const file of files.filter(f => !f.includes(PART_SEPARATOR))) {
+            const index = new Index(await this.storage.readJsonFile(name, file));
+            indexes.set(index.name, index);
+        }
+
+        // Parts left behind by an interrupted build or drop have no definition and are ignored
+        for (const file of files.filter(f => f.includes(PART_SEPARATOR))) {
+            const [encodedName, segmentFile] = file.slice(INDEX_PREFIX.length).split(PART_SEPARATOR);
+            const index = indexes.get(decodeURIComponent(encodedName));
+            if (index) index.loadPart(segmentFile, await this.storage.readJsonFile(name, file));
+        }
+        return indexes;
+    }
+
+    /**
+     * Lists the part files persisted for an index.
+     * @param {string} name - Collection name.
+     * @param {string} indexName - Index name.
+     * @returns {Promise<string[]>} Part filenames.
+     */
+    async listParts(name, indexName) {
+        const prefix = indexPartFileName(indexName, '');
+        return (await this.storage.listFiles(name)).filter(f => f.startsWith(prefix));
+    }
+
+    /**
+     * Drops the cached indexes of a collection so they are reloaded from disk.
+     * @param {string} name - Collection name.
+     */
+    invalidate(name) {
+        this.collections.delete(name);
+    }
+
+    /**
+     * Builds a new index from every document stored in the collection, expired ones
+     * included, and persists it. Expired documents are left out of unique checks. The
+     * definition is written last: until it exists, the parts written before it are ignored.
+     * @param {string} name - Collection name.
+     * @param {{ name: string, fields: string[], unique: boolean }} definition - Index definition.
+     * @returns {Promise<Index>} The new index.
+     */
+    async build(name, definition) {
+        const index = new Index(definition);
+        const live = new Map(); // key -> IDs of the unexpired documents holding it
+        for (const segmentFile of await this.storage.listSegments(name)) {
+            const records = await this.storage.readSegment(name, segmentFile);
+            for (const [id, doc] of Object.entries(records)) {
+                const checked = index.unique && !this.storage.isExpired(name, doc);
+                for (const [key, value] of index.keysOf(doc)) {
+                    if (checked) {
+                        if (!live.has(key)) live.set(key, new Set());
+                        this.assertUnique(name, index, key, value, live.get(key), id);
+                        live.get(key).add(id);
+                    }
+                    index.add(key, value, id, segmentFile);
+                }
+            }
+        }
+
+        // Parts of an earlier index with the same name, whose drop was interrupted
+        for (const file of await this.listParts(name, index.name)) await this.storage.removeFile(name, file);
+        for (const segmentFile of index.segments.keys()) {
+            await this.storage.writeJsonFile(name, indexPartFileName(index.name, segmentFile), index.partJSON(segmentFile));
+        }
+        await this.storage.writeJsonFile(name, indexFileName(index.name), index.toJSON());
+        (await this.get(name)).set(index.name, index);
+        return index;
+    }
+
+    /**
+     * Removes an index and its files. The definition goes first, so an interrupted drop
+     * never leaves a partial index behind.
+     * @param {string} name - Collection name.
+     * @param {string} indexName - Index name.
+     * @returns {Promise<boolean>} Whether the index existed.
+     */
+    async drop(name, indexName) {
+        const indexes = await this.get(name);
+        if (!indexes.has(indexName)) return false;
+
+        await this.storage.removeFile(name, indexFileName(indexName));
+        indexes.delete(indexName);
+        for (const file of await this.listParts(name, indexName)) await this.storage.removeFile(name, file);
+        return true;
+    }
+
+    /**
+     * Applies pending segment changes to the in-memory indexes and returns the index
+     * parts to persist with them: only those of the changed segments, with `null` for
+     * parts left empty. Unique constraints are checked first, so a violation leaves
+     * every index untouched. Expired documents, which reads treat as missing, neither
+     * violate a unique index nor stand in the way of a live document taking their key.
+     * @param {string} name - Collection name.
+     * @param {Map<string, Object|null>} changes - Segment filename to new records.
+     * @returns {Promise<Map<string, Object|null>>} Index part filename to new contents.
+     * @throws {DuplicateKeyError} If a unique index would hold a key twice.
+     */
+    async prepare(name, changes) {
+        const indexes = await this.get(name);
+        if (indexes.size === 0) return new Map();
+
+        const diffs = new Map([...indexes.values()].map(index => [index, { added: [], removed: [] }]));
+        for (const [segmentFile, records] of changes) {
+            const previous = await this.storage.readSegment(name, segmentFile);
+            const current = records || {};
+            const ids = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+            for (const id of ids) {
+                for (const [index, diff] of diffs) {
+                    const before = index.keysOf(previous[id]);
+                    const after = index.keysOf(current[id]);
+                    for (const key of before.keys()) if (!after.has(key)) diff.removed.push({ key, id, segmentFile });
+                    for (const [key, value] of after) if (!before.has(key)) diff.added.push({ key, value, id, segmentFile, doc: current[id] });
+                }
+            }
+        }
+
+        for (const [index, { added, removed }] of diffs) {
+            if (index.unique) await this.checkUnique(name, index, added, removed, changes);
+        }
+
+        const files = new Map();
+        for (const [index, { added, removed }] of diffs) {
+            if (added.length === 0 && removed.length === 0) continue;
+            const touched = new Set([...removed, ...added].map(change => change.segmentFile));
+            const existed = [...touched].filter(segmentFile => index.segments.has(segmentFile));
+            for (const { key, id, segmentFile } of removed) index.remove(key, id, segmentFile);
+            for (const { key, value, id, segmentFile } of added) index.add(key, value, id, segmentFile);
+            for (const segmentFile of touched) {
+                const part = index.partJSON(segmentFile);
+                if (part || existed.includes(segmentFile)) files.set(indexPartFileName(index.name, segmentFile), part);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Verifies that a batch of key changes keeps a unique index unique, ignoring
+     * expired documents on either side.
+     */
+    async checkUnique(name, index, added, removed, changes) {
+        const holders = new Map();
+        const holdersOf = (key) => {
+            if (!holders.has(key)) holders.set(key, new Set(index.idsFor(key)));
+            return holders.get(key);
+        };
+
+        for (const { key, id } of removed) holdersOf(key).delete(id);
+        let locate = null;
+        for (const { key, value, id, doc } of added) {
+            const current = holdersOf(key);
+            if (this.storage.isExpired(name, doc)) continue;
+            for (const holder of [...current]) {
+                if (holder === id) continue;
+                locate = locate || await this.storage.segmentLocator(name);
+                const file = locate(holder);
+                const records = changes.has(file) ? changes.get(file) || {} : await this.storage.readSegment(name, file);
+                if (records[holder] && this.storage.isExpired(name, records[holder])) current.delete(holder);
+            }
+            this.assertUnique(name, index, key, value, current, id);
+            current.add(id);
+        }
+    }
+
+    assertUnique(name, index, key, value, holders, id) {
+        for (const holder of holders) {
+            if (holder !== id) throw new DuplicateKeyError(name, index.name, value, holder);
+        }
+    }
+
+    /**
+     * Resolves candidate document IDs for a filter from the available indexes. Top-level
+     * field conditions and `$and` branches are intersected; other logical operators are
+     * left to the scan.
+     * @param {Map<string, Index>} indexes - The collection's indexes.
+     * @param {Object} filter - The filter query object.
+     * @returns {Set<string>|null} Candidate IDs, or null if no index applies.
+     */
+    candidates(indexes, filter) {
+        const byField = new Map();
+        const compound = [];
+        for (const index of indexes.values()) {
+            if (index.fields.length === 1) byField.set(index.fields[0], index);
+            else compound.push(index);
+        }
+
+        let result = null;
+        const intersect = (ids) => {
+            result = result === null ? ids : new Set([...result].filter(id => ids.has(id)));
+        };
+
+        for (const [key, condition] of Object.entries(filter)) {
+            if (key === '$and' && Array.isArray(condition)) {
+                for (const branch of condition) {
+                    const ids = this.candidates(indexes, branch);
+                    if (ids) intersect(ids);
+                }
+                continue;
+            }
+
+            const index = byField.get(key);
+            const ids = index ? index.lookup(condition) : null;
+            if (ids) intersect(ids);
+        }
+
+        // Compound indexes answer filters with a condition on every one of their fields
+        for (const index of compound) {
+            const ids = index.lookupCompound(index.fields.map(field => filter[field]));
+            if (ids) intersect(ids);
+        }
+        return result;
+    }
+}
@@ -1,5 +1,10 @@
 /**
- * Simple Mutex manager for collection-level locking.
+ * Readers-writer lock manager for collection-level locking.
+ *
+ * Any number of readers may hold a collection at once, while a writer holds it alone.
+ * Waiters are served in arrival order, so a waiting writer blocks readers that arrive
+ * after it (writers are never starved), and readers queued ahead of the next writer
+ * are admitted together once the current writer releases.
  */
 export class MutexManager {
     constructor() {
@@ -7,16 +12,64 @@ export class MutexManager {
     }
 
     /**
-     * Locks a named collection, returning a release function once the lock is acquired.
+     * Locks a named collection exclusively, returning a release function once the lock is acquired.
      * @param {string} name - The collection name.
      * @returns {Promise<Function>} A release function.
      */
     async lock(name) {
-        const existing = this.locks.get(name) || Promise.resolve();
-        let release;
-        const lock = new Promise(res => (release = res));
-        this.locks.set(name, existing.then(() => lock));
-        await existing; // Wait for the previous lock in the chain to release
-        return release;
+        return this.acquire(name, true);
+    }
+
+    /**
+     * Locks a named collection for shared reading, returning a release function once
+     * no writer holds or is waiting for the collection.
+     * @param {string} name - The collection name.
+     * @returns {Promise<Function>} A release function.
+     */
+    async readLock(name) {
+        return this.acquire(name, false);
+    }
+
+    acquire(name, exclusive) {
+        let state = this.locks.get(name);
+        if (!state) {
+            state = { readers: 0, writing: false, queue: [] };
+            this.locks.set(name, state);
+        }
+
+        return new Promise(resolve => {
+            state.queue.push({ exclusive, resolve });
+            this.dispatch(name, state);
+        });
+    }
+
+    /**
+     * Admits waiters from the head of the queue that are compatible with the current holders.
+     */
+    dispatch(name, state) {
+        while (state.queue.length > 0 && !state.writing) {
+            const next = state.queue[0];
+            if (next.exclusive && state.readers > 0) break;
+
+            state.queue.shift();
+            if (next.exclusive) state.writing = true;
+            else state.readers++;
+            next.resolve(this.releaser(name, state, next.exclusive));
+        }
+
+        if (state.queue.length === 0 && state.readers === 0 && !state.writing) {
+            this.locks.delete(name);
+        }
+    }
+
+    releaser(name, state, exclusive) {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            if (exclusive) state.writing = false;
+            else state.readers--;
+            this.dispatch(name, state);
+        };
     }
 }
@@ -1,13 +1,36 @@
+import path from 'path';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
 import generateId from './id/generate.js';
 import { MutexManager } from './mutex.js';
+import { FileLockManager } from './filelock.js';
 import { StorageManager } from './storage.js';
-import { matchesFilter, deepMerge } from './query.js';
+import { FileSystemAdapter } from './adapters/fs.js';
+import { matchesFilter, deepMerge, deepClone, compileSort, compileProjection, getField, isEqual, isPlainObject } from './query.js';
+import { runPipeline } from './aggregate.js';
+import { applyUpdate, seedFromFilter } from './update.js';
+import { BoundedHeap } from './heap.js';
+import { Transaction } from './transaction.js';
+import { compileSchema } from './schema.js';
+import { ChangeStream } from './watch.js';
+import { isExpired, EXPIRY_FIELD } from './expiry.js';
+import { assertFormat, serializeDocuments, parseDocuments } from './transfer.js';
+import { TransactionConflictError, RevisionConflictError, SchemaValidationError, DuplicateKeyError, SegmentFullError } from './errors.js';
+
+const identity = (doc) => doc;
+const LOCK_FILE = 'collection.lock';
+const CHANGE_EVENTS = ['change', 'created', 'updated', 'deleted'];
 
 /**
  * A segmented JSON database provider with customizable ID generation, filtering, and dual segmentation limits.
+ *
+ * Segmon is an `EventEmitter`: after every successful write it emits `created`, `updated`
+ * and `deleted` events, plus a `change` event for each of them. Every event carries
+ * `{ type, collection, id, before, after }`, where `before` is null for creations and
+ * `after` is null for deletions.
  * @class
  */
-class Segmon {
+class Segmon extends EventEmitter {
     /**
      * Creates a new Segmon instance.
      * @constructor
@@ -19,6 +42,25 @@ class Segmon {
      * @param {number} [config.idLength=6] - Length of generated IDs (when using default generator)
      * @param {Function} [config.idGenerator=generateId] - Custom ID generator function
      * @param {Function} [config.normaliseDocument=(doc) => doc] - Document normalization function before filtering
+     * @param {boolean|{maxSegments: number, maxBytes: number}} [config.cache=false] - In-memory LRU segment cache;
+     * `true` uses a 64MB budget
+     * @param {boolean|{timeout: number, stale: number, retryInterval: number}} [config.processLock=false] - Guard
+     * writes with a lockfile per collection so several processes can share `basePath`
+     * @param {boolean} [config.revisions=false] - Maintain a `_rev` field incremented on every write,
+     * enabling `ifRev` preconditions
+     * @param {Object<string, Object>} [config.schemas={}] - Schemas to enforce, by collection name
+     * (see {@link Segmon#setSchema})
+     * @param {Object<string, number>} [config.ttl={}] - Time-to-live in milliseconds for new documents,
+     * by collection name; `Infinity` enables per-document expiry alone (see {@link Segmon#setTTL})
+     * @param {string|Object} [config.codec='json'] - How segments are encoded on disk: `json` (pretty-printed),
+     * `compact`, `gzip`, `brotli`, or a custom `{ name, encode, decode }` codec
+     * @param {Object[]} [config.codecs=[]] - Further custom codecs existing segments were written with
+     * @param {{key: Buffer|string|Function, keyId: string, requireEncryption: boolean}|null} [config.encryption=null] - Encrypt
+     * segments, indexes and journals at rest with AES-256-GCM, using `key` (32 bytes, or a provider `(keyId) => key`);
+     * `keyId` names the key new files are encrypted with (see {@link Segmon#rotateEncryptionKey}). Unencrypted
+     * files are rejected unless `requireEncryption` is false, e.g. while encrypting an existing collection
+     * @param {StorageAdapter} [config.adapter] - Where collections are stored: a `FileSystemAdapter` rooted at
+     * `basePath` by default, a `MemoryAdapter`, or any object implementing the adapter interface
      * @example
      * const db = new Segmon({
      *   basePath: './data',
@@ -33,8 +75,18 @@ class Segmon {
         onFilter = null,
         idLength = 6,
         idGenerator = generateId,
-        normaliseDocument = (doc) => doc
+        normaliseDocument = identity,
+        cache = false,
+        processLock = false,
+        revisions = false,
+        schemas = {},
+        ttl = {},
+        codec = 'json',
+        codecs = [],
+        encryption = null,
+        adapter = null
     } = {}) {
+        super();
         this.basePath = basePath;
         this.segmentSize = segmentSize;
         this.maxItemsPerSegment = maxItemsPerSegment;
@@ -42,18 +94,43 @@ class Segmon {
         this.normaliseDocument = normaliseDocument;
         this.onFilter = onFilter;
         this.idGenerator = idGenerator;
+        this.revisions = revisions;
+        this.schemas = new Map();
+        this.ttls = new Map();
+        this.sweeper = null;
 
         // Initialize helper managers
         this.mutex = new MutexManager();
         this.locks = this.mutex.locks; // Keep reference to the lock Map for backward compatibility
+        this.adapter = adapter || new FileSystemAdapter(basePath);
+        if (processLock && !this.adapter.shared) {
+            throw new Error('processLock requires a storage adapter shared between processes, such as the filesystem');
+        }
+        this.fileLocks = processLock ? new FileLockManager(processLock === true ? {} : processLock) : null;
 
         this.storage = new StorageManager({
             basePath: this.basePath,
             segmentSize: this.segmentSize,
             maxItemsPerSegment: this.maxItemsPerSegment,
             idLength: this.idLength,
-            idGenerator: this.idGenerator
+            idGenerator: this.idGenerator,
+            cache: cache === true ? { maxBytes: 64 * 1024 * 1024 } : cache || null,
+            recoverOnOpen: !this.fileLocks,
+            tracksChanges: () => CHANGE_EVENTS.some(event => this.listenerCount(event) > 0),
+            onChanges: (collectionName, changes) => this._emitChanges(collectionName, changes),
+            isExpired: (collectionName, doc) => this._isExpired(collectionName, doc),
+            codec,
+            codecs,
+            encryption,
+            adapter: this.adapter
         });
+
+        for (const [collectionName, schema] of Object.entries(schemas)) {
+            this.setSchema(collectionName, schema);
+        }
+        for (const [collectionName, ms] of Object.entries(ttl)) {
+            this.setTTL(collectionName, ms);
+        }
     }
 
     /* ------------------- PUBLIC API ------------------- */
@@ -68,14 +145,16 @@ class Segmon {
      * @returns {Promise<object>} The created document.
      */
     async create(collectionName, data) {
-        const release = await this.mutex.lock(collectionName);
+        const release = await this._lock(collectionName);
         try {
             const { segment, segmentFile } = await this.storage.getWritableSegment(collectionName);
             const records = await this.storage.readSegment(collectionName, segmentFile);
 
             // Generate ID with collision check against existing records
             const id = await this.storage.generateId(segment, records);
-            const doc = { ...data, id };
+            const doc = this._revise({ ...data, id });
+            this._applyTTL(collectionName, doc);
+            this._validate(collectionName, doc);
             records[id] = doc;
 
             await this.storage.writeSegment(collectionName, segmentFile, records);
@@ -87,7 +166,7 @@ class Segmon {
             }
             throw err;
         } finally {
-            release();
+            await release();
         }
     }
 
@@ -103,18 +182,22 @@ class Segmon {
     async bulkCreate(collectionName, docsArray) {
         if (!Array.isArray(docsArray)) return [];
 
-        const release = await this.mutex.lock(collectionName);
+        const release = await this._lock(collectionName);
         try {
             const created = [];
+            const changes = new Map();
             let { segment, segmentFile } = await this.storage.getWritableSegment(collectionName);
             let records = await this.storage.readSegment(collectionName, segmentFile);
             let currentSize = Buffer.byteLength(JSON.stringify(records));
             let currentItemCount = Object.keys(records).length;
 
-            for (const data of docsArray) {
+            for (const [index, data] of docsArray.entries()) {
                 const id = await this.storage.generateId(segment, records);
-                const doc = { ...data, id };
+                const doc = this._revise({ ...data, id });
+                this._applyTTL(collectionName, doc);
+                this._validate(collectionName, doc, { index });
                 records[id] = doc;
+                changes.set(segmentFile, records);
                 created.push(doc);
 
                 currentSize += Buffer.byteLength(JSON.stringify(doc));
@@ -125,7 +208,6 @@ class Segmon {
                     currentItemCount >= this.maxItemsPerSegment;
 
                 if (sizeLimitReached || itemLimitReached) {
-                    await this.storage.writeSegment(collectionName, segmentFile, records);
                     segment++;
                     segmentFile = `segment_${segment}.json`;
                     records = {};
@@ -134,9 +216,8 @@ class Segmon {
                 }
             }
 
-            if (Object.keys(records).length > 0) {
-                await this.storage.writeSegment(collectionName, segmentFile, records);
-            }
+            // All touched segments land together, or none of them do
+            await this.storage.commitSegments(collectionName, changes);
 
             return created;
         } catch (err) {
@@ -145,104 +226,272 @@ class Segmon {
             }
             throw err;
         } finally {
-            release();
+            await release();
         }
     }
 
     /**
-     * @param {{ limit: number, offset: number, scanDirection: string, latestItemFetched: string }} [options] - Optional pagination
-     * options. `limit` specifies the maximum number of documents to return,
+     * @param {{ limit: number, offset: number, scanDirection: string, latestItemFetched: string, sort: Object, projection: Object|string[] }} [options] - Optional pagination
+     * options. `limit` specifies the maximum number of documents to return (0 means no limit),
      * `offset` specifies the number of documents to skip,
      * `scanDirection` specifies direction ('forward' or 'backward', default 'forward'),
-     * `latestItemFetched` specifies the ID of the cursor document to start search after.
+     * `latestItemFetched` specifies the ID of the cursor document to start search after,
+     * `sort` orders results by one or more fields, e.g. `{ createdAt: -1, name: 1 }`,
+     * `projection` trims returned documents, e.g. `['title', 'updatedAt']` or `{ html: 0 }`.
      * @returns {Promise<object[]>} An array of matching documents.
      */
-    async find(collectionName, filter = {}, { limit = Infinity, offset = 0, scanDirection = 'forward', latestItemFetched = null } = {}) {
-        let segments = await this.storage.listSegments(collectionName);
-
-        if (scanDirection === 'backward') {
-            segments.reverse();
+    async find(collectionName, filter = {}, options = {}) {
+        const release = await this._readLock(collectionName);
+        try {
+            return await this._find(this.storage, collectionName, filter, options);
+        } finally {
+            release();
         }
+    }
 
-        if (latestItemFetched) {
-            const startSegment = this.storage.segmentFromId(latestItemFetched);
-            segments = segments.filter(seg => {
-                const num = parseInt(seg.match(/segment_(\d+)\.json/)[1], 10);
-                return scanDirection === 'backward' ? num <= startSegment : num >= startSegment;
-            });
+    /**
+     * Finds a document in the collection by its ID.
+     *
+     * @param {string} collectionName - The name of the collection to query.
+     * @param {string} id - The ID of the document to find.
+     * @param {{ projection: Object|string[] }} [options] - `projection` trims the returned document.
+     * @returns {Promise<object|null>} The document with the given ID, or null if
+     * not found.
+     */
+    async findById(collectionName, id, { projection = null } = {}) {
+        const project = compileProjection(projection);
+        const release = await this._readLock(collectionName);
+        try {
+            const segmentFile = await this.storage.locateSegment(collectionName, id);
+            const records = await this.storage.readSegment(collectionName, segmentFile);
+            if (!records[id] || this._isExpired(collectionName, records[id])) return null;
+            return project ? project(records[id]) : records[id];
+        } finally {
+            release();
         }
+    }
 
+    /**
+     * Finds multiple documents in the collection by their IDs.
+     *
+     * @param {string} collectionName - The name of the collection to query.
+     * @param {string[]} ids - The IDs of the documents to find.
+     * @param {{ projection: Object|string[] }} [options] - `projection` trims the returned documents.
+     * @returns {Promise<object[]>} An array of documents with the given IDs, in
+     * the same order as the IDs provided.
+     */
+    async bulkFindByIds(collectionName, ids, { projection = null } = {}) {
+        const project = compileProjection(projection);
         const results = [];
-        let skipped = 0;
-        let cursorFound = latestItemFetched ? false : true;
 
-        if (latestItemFetched && segments.length > 0) {
-            // Graceful fallback check: if the starting segment doesn't contain the cursor (e.g. deleted),
-            // disable cursor skipping so we scan from the beginning of this segment.
-            const firstSegRecords = await this.storage.readSegment(collectionName, segments[0]);
-            if (!firstSegRecords[latestItemFetched]) {
-                cursorFound = true;
+        const release = await this._readLock(collectionName);
+        try {
+            const grouped = await this.storage.locateSegments(collectionName, ids);
+            const now = Date.now();
+            for (const [file, idList] of grouped) {
+                const records = await this.storage.readSegment(collectionName, file);
+                for (const id of idList) {
+                    if (records[id] && !this._isExpired(collectionName, records[id], now)) results.push(project ? project(records[id]) : records[id]);
+                }
             }
+            return results;
+        } finally {
+            release();
         }
+    }
 
-        for (const seg of segments) {
-            const records = await this.storage.readSegment(collectionName, seg);
-            let docs = Object.values(records);
-            if (scanDirection === 'backward') {
-                docs.reverse();
-            }
+    /**
+     * Iterates over the documents matching a filter, reading one segment at a time, so
+     * collections of any size can be scanned in constant memory. Accepts the same
+     * `limit`, `offset`, `scanDirection`, `latestItemFetched` and `projection` options
+     * as {@link find}; sorting requires the full result set, so use `find` for that.
+     * Because the caller controls the pace, no lock is held between segments: each
+     * segment is read consistently, but writes may land between segments.
+     *
+     * @param {string} collectionName - The name of the collection to scan.
+     * @param {object} [filter] - The filter query object.
+     * @param {object} [options] - Scan options.
+     * @returns {AsyncGenerator<object>} Matching documents in scan order.
+     * @example
+     * for await (const user of db.iterate('users', { active: true })) {
+     *   await sendNewsletter(user);
+     * }
+     */
+    async *iterate(collectionName, filter = {}, { projection = null, sort = null, ...options } = {}) {
+        if (sort) throw new Error('iterate() does not support sort; use find() instead');
+        const project = compileProjection(projection);
+        if (this.fileLocks) await this.storage.refreshFromDisk(collectionName);
+        for await (const doc of this._iterate(this.storage, collectionName, filter, options)) {
+            yield project ? project(doc) : doc;
+        }
+    }
 
-            for (const doc of docs) {
-                if (!cursorFound) {
-                    if (doc.id === latestItemFetched) {
-                        cursorFound = true;
-                    }
-                    continue; // Skip the cursor itself and everything before it
-                }
+    /**
+     * Creates an object-mode `Readable` over the documents matching a filter. Segments are
+     * only read as the consumer pulls, so a slow consumer applies backpressure to the scan.
+     * Accepts the same options as {@link iterate}, plus `highWaterMark`.
+     *
+     * @param {string} collectionName - The name of the collection to scan.
+     * @param {object} [filter] - The filter query object.
+     * @param {object} [options] - Scan options.
+     * @returns {Readable} An object-mode stream of documents.
+     */
+    createReadStream(collectionName, filter = {}, { highWaterMark = 16, ...options } = {}) {
+        return Readable.from(this.iterate(collectionName, filter, options), { objectMode: true, highWaterMark });
+    }
 
-                if (!matchesFilter(doc, filter, this.onFilter, this.normaliseDocument)) continue;
-                if (skipped < offset) { skipped++; continue; }
-                results.push(doc);
-                if (results.length >= limit) return results;
+    /**
+     * Exports the documents matching a filter as a text stream: NDJSON (one document per
+     * line), a JSON array, or CSV with one column per field, nested objects flattened
+     * into dot-path columns (`address.city`) and arrays written as JSON. Documents are
+     * read one segment at a time as the consumer pulls, like {@link iterate}, so writes
+     * may land between segments. Without `columns`, CSV scans the collection twice: once
+     * to collect the columns for the header.
+     *
+     * @param {string} collectionName - The name of the collection to export.
+     * @param {{ format: string, filter: object, columns: string[], projection: Object|string[] }} [options] - `format`
+     * is `ndjson` (default), `json` or `csv`; `columns` picks and orders the CSV columns.
+     * @returns {Readable} A stream of UTF-8 text.
+     * @example
+     * await pipeline(db.export('orders', { format: 'csv', filter: { status: 'paid' } }), fs.createWriteStream('paid.csv'));
+     */
+    export(collectionName, { format = 'ndjson', filter = {}, columns = null, projection = null } = {}) {
+        assertFormat(format);
+        const scan = () => this.iterate(collectionName, filter, { projection });
+        return Readable.from(serializeDocuments(scan, format, { columns }), { objectMode: false, encoding: 'utf8' });
+    }
+
+    /**
+     * Imports documents from NDJSON, a JSON array or CSV (as written by {@link export}).
+     * Rows are parsed as they stream in and written in batches that fill segments like
+     * {@link bulkCreate}; each batch commits atomically, but the import as a whole does not.
+     * A row that cannot be parsed, fails schema validation, violates a unique index or
+     * conflicts with an existing document is reported and skipped; the other rows are imported.
+     *
+     * CSV cells are read back as `true`/`false`, `null`, numbers and JSON arrays or objects
+     * where they look like them (unless `inferTypes` is false), and empty cells are omitted.
+     *
+     * @param {string} collectionName - The name of the collection to import into.
+     * @param {string|Buffer|AsyncIterable|Iterable} source - Text, or a stream or iterable of text chunks.
+     * @param {{ format: string, preserveIds: boolean, onConflict: string, batchSize: number, inferTypes: boolean }} [options]
+     * `format` is `ndjson` (default), `json` or `csv`. With `preserveIds`, rows keep their `id` (which must
+     * have the form `<segment>_<suffix>`) and `onConflict` decides what happens when that ID exists:
+     * `error` (default) reports the row, `skip` ignores it, `replace` overwrites the document. A new ID
+     * whose segment is already full is reported with a `SegmentFullError`. Otherwise every row gets a new ID. `batchSize` (default 1000) is the number of rows per commit.
+     * @returns {Promise<{ inserted: number, replaced: number, skipped: number, failed: number,
+     * errors: { row: number, id: string|null, error: Error }[] }>} What happened to the rows; `row` is the
+     * 1-based line for NDJSON, the record after the header for CSV and the element for JSON.
+     * @throws {Error} If the source cannot be read as a whole (e.g. a JSON source that is not an array).
+     * Batches committed before the failure stay imported.
+     * @example
+     * const report = await db.import('orders', fs.createReadStream('orders.ndjson'), { preserveIds: true, onConflict: 'skip' });
+     * for (const { row, error } of report.errors) console.warn(`row ${row}: ${error.message}`);
+     */
+    async import(collectionName, source, { format = 'ndjson', preserveIds = false, onConflict = 'error', batchSize = 1000, inferTypes = true } = {}) {
+        assertFormat(format);
+        if (!['error', 'skip', 'replace'].includes(onConflict)) {
+            throw new Error(`Invalid onConflict "${onConflict}": expected error, skip or replace`);
+        }
+        const options = { preserveIds, onConflict };
+        const report = { inserted: 0, replaced: 0, skipped: 0, failed: 0, errors: [] };
+        const fail = (row, id, error) => {
+            report.failed++;
+            report.errors.push({ row, id, error });
+        };
+
+        let batch = [];
+        const flush = async () => {
+            for (const outcome of await this._importRows(collectionName, batch, options)) {
+                if (outcome.error) fail(outcome.row, outcome.id, outcome.error);
+                else report[outcome.result]++;
             }
+            batch = [];
+        };
+        for await (const { row, doc, error } of parseDocuments(source, format, { inferTypes })) {
+            if (error) fail(row, null, error);
+            else if (!isPlainObject(doc)) fail(row, null, new Error('Row is not a JSON object'));
+            else batch.push({ row, doc });
+            if (batch.length >= batchSize) await flush();
         }
-        return results;
+        if (batch.length > 0) await flush();
+        return report;
     }
 
     /**
-     * Finds a document in the collection by its ID.
+     * Counts the documents matching a filter without building a result array.
      *
      * @param {string} collectionName - The name of the collection to query.
-     * @param {string} id - The ID of the document to find.
-     * @returns {Promise<object|null>} The document with the given ID, or null if
-     * not found.
+     * @param {object} [filter] - The filter query object.
+     * @returns {Promise<number>} The number of matching documents.
      */
-    async findById(collectionName, id) {
-        const segmentFile = this.storage.segmentFileFromId(id);
-        const records = await this.storage.readSegment(collectionName, segmentFile);
-        return records[id] || null;
+    async count(collectionName, filter = {}) {
+        let total = 0;
+        const release = await this._readLock(collectionName);
+        try {
+            for await (const doc of this._scan(this.storage, collectionName, { filter })) {
+                if (matchesFilter(doc, filter, this.onFilter, this.normaliseDocument)) total++;
+            }
+            return total;
+        } finally {
+            release();
+        }
     }
 
     /**
-     * Finds multiple documents in the collection by their IDs.
+     * Lists the distinct values of a field among documents matching a filter.
+     * Array fields contribute each of their elements.
      *
      * @param {string} collectionName - The name of the collection to query.
-     * @param {string[]} ids - The IDs of the documents to find.
-     * @returns {Promise<object[]>} An array of documents with the given IDs, in
-     * the same order as the IDs provided.
+     * @param {string} field - Field name or dot-path.
+     * @param {object} [filter] - The filter query object.
+     * @returns {Promise<Array>} Distinct values, in the order first seen.
      */
-    async bulkFindByIds(collectionName, ids) {
-        const grouped = this.storage.groupIdsBySegment(ids);
-        const results = [];
-
-        for (const [segment, idList] of Object.entries(grouped)) {
-            const file = `segment_${segment}.json`;
-            const records = await this.storage.readSegment(collectionName, file);
-            for (const id of idList) {
-                if (records[id]) results.push(records[id]);
+    async distinct(collectionName, field, filter = {}) {
+        const seen = new Map();
+        const release = await this._readLock(collectionName);
+        try {
+            for await (const doc of this._scan(this.storage, collectionName, { filter })) {
+                if (!matchesFilter(doc, filter, this.onFilter, this.normaliseDocument)) continue;
+                const value = getField(doc, field);
+                for (const item of Array.isArray(value) ? value : [value]) {
+                    if (item === undefined) continue;
+                    const key = JSON.stringify(item);
+                    if (!seen.has(key)) seen.set(key, item);
+                }
             }
+            return [...seen.values()];
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Runs an aggregation pipeline over a collection, streaming documents segment by
+     * segment. Supported stages: `$match`, `$group` (with `$sum`, `$avg`, `$min`, `$max`,
+     * `$count` and `$push` accumulators), `$sort`, `$limit` and `$project`.
+     *
+     * @param {string} collectionName - The name of the collection to aggregate.
+     * @param {object[]} pipeline - The pipeline stages.
+     * @returns {Promise<object[]>} The pipeline output.
+     * @example
+     * const totals = await db.aggregate('orders', [
+     *   { $match: { status: 'paid' } },
+     *   { $group: { _id: '$customerId', total: { $sum: '$amount' }, orders: { $count: {} } } },
+     *   { $sort: { total: -1 } },
+     *   { $limit: 10 }
+     * ]);
+     */
+    async aggregate(collectionName, pipeline = []) {
+        const release = await this._readLock(collectionName);
+        try {
+            return await runPipeline(
+                this._scan(this.storage, collectionName, { filter: pipeline[0] && pipeline[0].$match }),
+                pipeline,
+                (doc, filter) => matchesFilter(doc, filter, this.onFilter, this.normaliseDocument)
+            );
+        } finally {
+            release();
         }
-        return results;
     }
 
     /**
@@ -250,60 +499,193 @@ class Segmon {
      *
      * @param {string} collectionName - The name of the collection to update.
      * @param {string} id - The ID of the document to update.
-     * @param {object} updates - The updates to apply to the document.
-     * @returns {Promise<object|null>} The updated document, or null if not found.
+     * @param {object} updates - The updates to apply to the document: a plain object is
+     * deep-merged, an operator document such as `{ $inc: { views: 1 }, $unset: { draft: '' } }`
+     * is applied field by field.
+     * @param {{ upsert: boolean, ifRev: number, returnResult: boolean }} [options] - With `upsert`, a
+     * missing document is created at `id` from the updates, which must then be a valid Segmon ID
+     * (`<segment>_<suffix>`). With `ifRev`, the update only applies if the stored `_rev` matches.
+     * With `returnResult`, the call reports whether it inserted the document.
+     * @returns {Promise<object|null|{ document: object|null, inserted: boolean }>} The updated
+     * document, or null if not found. With `returnResult`, the document (or null) and whether
+     * it was inserted.
+     * @throws {RevisionConflictError} If `ifRev` does not match the stored revision.
+     * @throws {SegmentFullError} If an upsert would insert into a full segment.
      */
-    async update(collectionName, id, updates) {
-        const release = await this.mutex.lock(collectionName);
+    async update(collectionName, id, updates, { upsert = false, ifRev, returnResult = false } = {}) {
+        if (upsert) this._assertUpsertId(id);
+
+        const release = await this._lock(collectionName);
         try {
-            const segmentFile = this.storage.segmentFileFromId(id);
+            const segmentFile = await this.storage.locateSegment(collectionName, id);
             const records = await this.storage.readSegment(collectionName, segmentFile);
-            if (!records[id]) return null;
+            const current = this._current(collectionName, records, id);
+            this._checkRevision(collectionName, id, current, ifRev);
+            const inserted = !current;
+            if (inserted && !upsert) return returnResult ? { document: null, inserted: false } : null;
+            if (inserted) this._assertRoom(collectionName, segmentFile, records, id);
 
-            records[id] = deepMerge(records[id], updates);
+            const previousRev = inserted ? 0 : current._rev;
+            records[id] = this._revise({ ...applyUpdate(inserted ? {} : current, updates), id }, previousRev);
+            if (inserted) this._applyTTL(collectionName, records[id]);
+            this._validate(collectionName, records[id], { id });
             await this.storage.writeSegment(collectionName, segmentFile, records);
-            return records[id];
+            return returnResult ? { document: records[id], inserted } : records[id];
         } finally {
-            release();
+            await release();
+        }
+    }
+
+    /**
+     * Replaces a document completely, dropping every field not present in `doc`.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @param {string} id - The ID of the document to replace.
+     * @param {object} doc - The new document contents. An `id` field, if present, must equal `id`.
+     * @param {{ upsert: boolean, ifRev: number, returnResult: boolean }} [options] - With `upsert`, a
+     * missing document is created at `id`. With `ifRev`, the replacement only applies if the stored
+     * `_rev` matches. With `returnResult`, the call reports whether it inserted the document.
+     * @returns {Promise<object|null|{ document: object|null, inserted: boolean }>} The new document,
+     * or null if not found. With `returnResult`, the document (or null) and whether it was inserted.
+     * @throws {RevisionConflictError} If `ifRev` does not match the stored revision.
+     * @throws {SegmentFullError} If an upsert would insert into a full segment.
+     */
+    async replace(collectionName, id, doc, { upsert = false, ifRev, returnResult = false } = {}) {
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+            throw new Error('Replacement document must be an object');
+        }
+        if (Object.keys(doc).some(key => key.startsWith('$'))) {
+            throw new Error('Replacement document cannot contain update operators');
+        }
+        if (doc.id !== undefined && doc.id !== id) {
+            throw new Error('Replacement document cannot change the document id');
+        }
+        if (upsert) this._assertUpsertId(id);
+
+        const release = await this._lock(collectionName);
+        try {
+            const segmentFile = await this.storage.locateSegment(collectionName, id);
+            const records = await this.storage.readSegment(collectionName, segmentFile);
+            const current = this._current(collectionName, records, id);
+            this._checkRevision(collectionName, id, current, ifRev);
+            const inserted = !current;
+            if (inserted && !upsert) return returnResult ? { document: null, inserted: false } : null;
+            if (inserted) this._assertRoom(collectionName, segmentFile, records, id);
+
+            records[id] = this._revise({ ...doc, id }, inserted ? 0 : current._rev);
+            if (inserted) this._applyTTL(collectionName, records[id]);
+            this._validate(collectionName, records[id], { id });
+            await this.storage.writeSegment(collectionName, segmentFile, records);
+            return returnResult ? { document: records[id], inserted } : records[id];
+        } finally {
+            await release();
         }
     }
 
     /**
      * Updates multiple documents in the specified collection based on the
      * provided array of update objects. Each object in the array should
-     * contain an `id` and a `data` object representing the updates to apply.
+     * contain an `id` and a `data` object representing the updates to apply,
+     * either a plain object to deep-merge or an update operator document.
      *
      * @param {string} collectionName - The name of the collection to update the documents in.
      * @param {object[]} updatesArray - An array of objects, each containing an `id` and `data`.
      * @returns {Promise<object[]>} An array of updated documents.
      */
     async bulkUpdate(collectionName, updatesArray) {
-        const release = await this.mutex.lock(collectionName);
+        const release = await this._lock(collectionName);
         try {
-            const grouped = {};
-            for (const { id, data } of updatesArray) {
-                const seg = this.storage.segmentFromId(id);
-                if (!grouped[seg]) grouped[seg] = [];
-                grouped[seg].push({ id, data });
+            const locate = await this.storage.segmentLocator(collectionName);
+            const grouped = new Map();
+            for (const [index, { id, data }] of updatesArray.entries()) {
+                const file = locate(id);
+                if (!grouped.has(file)) grouped.set(file, []);
+                grouped.get(file).push({ id, data, index });
             }
 
             const updated = [];
-            for (const [seg, items] of Object.entries(grouped)) {
-                const file = `segment_${seg}.json`;
+            const changes = new Map();
+            for (const [file, items] of grouped) {
                 const records = await this.storage.readSegment(collectionName, file);
 
-                for (const { id, data } of items) {
-                    if (records[id]) {
-                        records[id] = deepMerge(records[id], data);
+                for (const { id, data, index } of items) {
+                    if (this._current(collectionName, records, id)) {
+                        const previousRev = records[id]._rev;
+                        records[id] = this._revise({ ...applyUpdate(records[id], data), id }, previousRev);
+                        this._validate(collectionName, records[id], { id, index });
                         updated.push(records[id]);
+                        changes.set(file, records);
                     }
                 }
-
-                await this.storage.writeSegment(collectionName, file, records);
             }
+
+            await this.storage.commitSegments(collectionName, changes);
             return updated;
         } finally {
-            release();
+            await release();
+        }
+    }
+
+    /**
+     * Updates every document matching a filter. The scan and the writes run under a
+     * single collection lock, so no document can change between matching and updating,
+     * and all changed segments are committed together.
+     *
+     * @param {string} collectionName - The name of the collection to update.
+     * @param {object} filter - The filter query object, as accepted by {@link find}.
+     * @param {object} updates - A plain object to deep-merge or an update operator document.
+     * @param {{ upsert: boolean }} [options] - With `upsert`, a document is inserted when nothing
+     * matches: the filter's equality conditions with the updates applied on top.
+     * @returns {Promise<{ matched: number, modified: number, upsertedId?: string|null }>} How many
+     * documents matched the filter and how many of them actually changed. With `upsert`,
+     * `upsertedId` is the ID of the inserted document, or null if documents were updated.
+     * @example
+     * await db.updateMany('users', { lastSeen: { $lt: cutoff } }, { $set: { active: false } });
+     */
+    async updateMany(collectionName, filter, updates, { upsert = false } = {}) {
+        const release = await this._lock(collectionName);
+        try {
+            let matched = 0;
+            let modified = 0;
+            const changes = new Map();
+
+            const now = Date.now();
+            for await (const { file, records } of this._matchingSegments(collectionName, filter)) {
+                for (const [id, doc] of Object.entries(records)) {
+                    if (this._isExpired(collectionName, doc, now)) continue;
+                    if (!matchesFilter(doc, filter, this.onFilter, this.normaliseDocument)) continue;
+                    matched++;
+
+                    const before = deepClone(doc);
+                    records[id] = { ...applyUpdate(doc, updates), id };
+                    if (!isEqual(before, records[id])) {
+                        this._revise(records[id], before._rev);
+                        this._validate(collectionName, records[id], { id });
+                        modified++;
+                        changes.set(file, records);
+                    }
+                }
+            }
+
+            if (!upsert) {
+                await this.storage.commitSegments(collectionName, changes);
+                return { matched, modified };
+            }
+
+            let upsertedId = null;
+            if (matched === 0) {
+                const { segment, segmentFile } = await this.storage.getWritableSegment(collectionName);
+                const records = await this.storage.readSegment(collectionName, segmentFile);
+                upsertedId = await this.storage.generateId(segment, records);
+                records[upsertedId] = this._revise({ ...applyUpdate(seedFromFilter(filter), updates), id: upsertedId });
+                this._applyTTL(collectionName, records[upsertedId]);
+                this._validate(collectionName, records[upsertedId]);
+                changes.set(segmentFile, records);
+            }
+            await this.storage.commitSegments(collectionName, changes);
+            return { matched, modified, upsertedId };
+        } finally {
+            await release();
         }
     }
 
@@ -312,21 +694,26 @@ class Segmon {
      *
      * @param {string} collectionName - The name of the collection to delete from.
      * @param {string} id - The ID of the document to delete.
+     * @param {{ ifRev: number }} [options] - With `ifRev`, the document is only deleted if
+     * its stored `_rev` matches.
      * @returns {Promise<boolean>} A boolean indicating whether the document was
      * deleted. If the document was not found, the function returns false.
+     * @throws {RevisionConflictError} If `ifRev` does not match the stored revision.
      */
-    async delete(collectionName, id) {
-        const release = await this.mutex.lock(collectionName);
+    async delete(collectionName, id, { ifRev } = {}) {
+        const release = await this._lock(collectionName);
         try {
-            const segmentFile = this.storage.segmentFileFromId(id);
+            const segmentFile = await this.storage.locateSegment(collectionName, id);
             const records = await this.storage.readSegment(collectionName, segmentFile);
-            if (!records[id]) return false;
+            const current = this._current(collectionName, records, id);
+            this._checkRevision(collectionName, id, current, ifRev);
+            if (!current) return false;
 
             delete records[id];
             await this.storage.writeSegment(collectionName, segmentFile, records);
             return true;
         } finally {
-            release();
+            await release();
         }
     }
 
@@ -338,30 +725,837 @@ class Segmon {
      * @returns {Promise<number>} The number of documents deleted.
      */
     async bulkDelete(collectionName, ids) {
-        const release = await this.mutex.lock(collectionName);
+        const release = await this._lock(collectionName);
         try {
-            const grouped = this.storage.groupIdsBySegment(ids);
+            const grouped = await this.storage.locateSegments(collectionName, ids);
             let deletedCount = 0;
+            const changes = new Map();
 
-            for (const [seg, idList] of Object.entries(grouped)) {
-                const file = `segment_${seg}.json`;
+            for (const [file, idList] of grouped) {
                 const records = await this.storage.readSegment(collectionName, file);
-                let changed = false;
                 for (const id of idList) {
-                    if (records[id]) {
+                    if (this._current(collectionName, records, id)) {
                         delete records[id];
                         deletedCount++;
-                        changed = true;
+                        changes.set(file, records);
                     }
                 }
-                if (changed) await this.storage.writeSegment(collectionName, file, records);
             }
+
+            await this.storage.commitSegments(collectionName, changes);
             return deletedCount;
         } finally {
-            release();
+            await release();
         }
     }
 
+    /**
+     * Deletes every document matching a filter, scanning and writing under a single
+     * collection lock and committing all changed segments together.
+     *
+     * @param {string} collectionName - The name of the collection to delete from.
+     * @param {object} filter - The filter query object, as accepted by {@link find}.
+     * @returns {Promise<{ matched: number, deleted: number }>} How many documents matched
+     * and were deleted.
+     */
+    async deleteMany(collectionName, filter) {
+        const release = await this._lock(collectionName);
+        try {
+            let deleted = 0;
+            const changes = new Map();
+
+            const now = Date.now();
+            for await (const { file, records } of this._matchingSegments(collectionName, filter)) {
+                for (const [id, doc] of Object.entries(records)) {
+                    if (this._isExpired(collectionName, doc, now)) continue;
+                    if (!matchesFilter(doc, filter, this.onFilter, this.normaliseDocument)) continue;
+                    delete records[id];
+                    deleted++;
+                    changes.set(file, records);
+                }
+            }
+
+            await this.storage.commitSegments(collectionName, changes);
+            return { matched: deleted, deleted };
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Creates a secondary index on a field, persisted inside the collection directory as
+     * a definition file plus one part file per segment. A write only rewrites the parts of
+     * the segments it changes, and `find`,
+     * `iterate`, `count`, `distinct` and `aggregate` (leading `$match`) use them to read
+     * only the segments that can hold matching documents.
+     *
+     * Passing several fields creates a compound index. With `unique`, the index doubles
+     * as a unique constraint: every write (`create`, `update`, their bulk variants and
+     * transactions) is checked under the collection lock and rejected with a
+     * {@link DuplicateKeyError} naming the document that already holds the value.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @param {string|string[]} fields - Field name or dot-path, or several for a compound index.
+     * @param {{ unique: boolean, name: string }} [options] - `unique` rejects duplicate
+     * values; `name` defaults to the field names joined with `_`.
+     * @returns {Promise<string>} The index name.
+     * @throws {DuplicateKeyError} If `unique` is set and existing documents share a value.
+     * @example
+     * await db.createIndex('users', 'email', { unique: true });
+     * await db.createIndex('users', ['firstName', 'lastName'], { unique: true });
+     */
+    async createIndex(collectionName, fields, { unique = false, name = null } = {}) {
+        const fieldList = Array.isArray(fields) ? fields : [fields];
+        if (fieldList.length === 0) throw new Error('createIndex requires at least one field');
+        const indexName = name || fieldList.join('_');
+
+        const release = await this._lock(collectionName);
+        try {
+            const existing = (await this.storage.indexes.get(collectionName)).get(indexName);
+            if (existing) {
+                const same = existing.unique === unique && existing.fields.join() === fieldList.join();
+                if (!same) throw new Error(`Index "${indexName}" already exists in ${collectionName} with a different definition`);
+                return indexName;
+            }
+
+            await this.storage.indexes.build(collectionName, { name: indexName, fields: fieldList, unique });
+            return indexName;
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Lists the secondary indexes of a collection.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @returns {Promise<{ name: string, fields: string[], unique: boolean }[]>} Index definitions.
+     */
+    async listIndexes(collectionName) {
+        const indexes = await this.storage.indexes.get(collectionName);
+        return [...indexes.values()].map(index => index.describe());
+    }
+
+    /**
+     * Drops a secondary index and deletes its file.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @param {string} name - The index name.
+     * @returns {Promise<boolean>} Whether the index existed.
+     */
+    async dropIndex(collectionName, name) {
+        const release = await this._lock(collectionName);
+        try {
+            return await this.storage.indexes.drop(collectionName, name);
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Compacts a collection after heavy deletes by merging runs of adjacent, sparsely
+     * filled segments, within the `segmentSize` and `maxItemsPerSegment` limits. Documents
+     * keep their IDs: merged segments are recorded in a relocation map that every lookup
+     * by ID follows. Document order is preserved, and all changes land in one journaled commit.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @returns {Promise<{ filesBefore: number, filesAfter: number, filesReclaimed: number,
+     * bytesBefore: number, bytesAfter: number, bytesReclaimed: number }>} Segment files and
+     * bytes before and after compaction.
+     * @example
+     * await db.bulkDelete('events', staleIds);
+     * const { filesReclaimed, bytesReclaimed } = await db.compact('events');
+     */
+    async compact(collectionName) {
+        const release = await this._lock(collectionName);
+        try {
+            return await this.storage.compact(collectionName);
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Re-encodes a collection's segments with another codec, in place. Segments already
+     * using the target codec are left alone, and every segment is rewritten atomically,
+     * so an interrupted migration can simply be run again. Reads keep working throughout:
+     * segments record their codec, so collections may mix codecs.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @param {string} [codec] - Target codec name; defaults to the instance's `codec`.
+     * @returns {Promise<{ segments: number, migrated: number, bytesBefore: number, bytesAfter: number }>}
+     * Segments seen and re-encoded, and total segment bytes before and after.
+     * @example
+     * const db = new Segmon({ codec: 'gzip' });
+     * await db.migrateCodec('events'); // { segments: 40, migrated: 40, bytesBefore, bytesAfter }
+     */
+    async migrateCodec(collectionName, codec) {
+        const release = await this._lock(collectionName);
+        try {
+            return await this.storage.migrateCodec(collectionName, codec);
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Re-encrypts a collection's files with the current key (`encryption.keyId`). Files
+     * already encrypted with it are left alone, and files written before encryption was
+     * enabled are encrypted. To rotate, configure a key provider that still returns the
+     * old key for its ID, switch `keyId` to the new key and call this for every collection.
+     * Every file is rewritten atomically, so an interrupted rotation can simply be run again.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @returns {Promise<{ files: number, rotated: number }>} Files seen and re-encrypted.
+     * @throws {AuthenticationError} If a file fails authentication; it is left untouched.
+     * @example
+     * const keys = { v1: oldKey, v2: newKey };
+     * const db = new Segmon({ encryption: { key: (id) => keys[id], keyId: 'v2' } });
+     * await db.rotateEncryptionKey('patients'); // { files: 12, rotated: 12 }
+     */
+    async rotateEncryptionKey(collectionName) {
+        const release = await this._lock(collectionName);
+        try {
+            return await this.storage.rotateEncryption(collectionName);
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Sets a collection-level time-to-live: documents created afterwards get an
+     * `expiresAt` of creation time plus `ttl` milliseconds, unless they carry their own.
+     * Existing documents are not changed. Only collections with a TTL expire documents;
+     * an `Infinity` TTL enables expiry for documents that set their own `expiresAt`
+     * without stamping the others. Removing the TTL with `null` makes documents past
+     * their `expiresAt` visible again.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @param {number|null} ttl - Time-to-live in milliseconds, `Infinity`, or null.
+     */
+    setTTL(collectionName, ttl) {
+        if (ttl === null) {
+            this.ttls.delete(collectionName);
+            return;
+        }
+        if (typeof ttl !== 'number' || !(ttl > 0)) throw new Error('TTL must be a positive number of milliseconds');
+        this.ttls.set(collectionName, ttl);
+    }
+
+    /**
+     * Physically deletes expired documents from a collection. Expired documents are already
+     * hidden from reads; sweeping reclaims their space. The collection is processed one
+     * segment at a time, each under its own short write lock, so writers are never
+     * blocked for a whole collection. Collections without a TTL are left untouched.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @returns {Promise<number>} The number of documents deleted.
+     */
+    async sweepExpired(collectionName) {
+        if (!this.ttls.has(collectionName)) return 0;
+        let deleted = 0;
+        for (const file of await this.storage.listSegments(collectionName)) {
+            const release = await this._lock(collectionName);
+            try {
+                // The segment may have been compacted away since it was listed: it then reads as empty
+                const records = await this.storage.readSegment(collectionName, file);
+                const now = Date.now();
+                const expired = Object.keys(records).filter(id => this._isExpired(collectionName, records[id], now));
+                if (expired.length === 0) continue;
+
+                for (const id of expired) delete records[id];
+                await this.storage.writeSegment(collectionName, file, records);
+                deleted += expired.length;
+            } finally {
+                await release();
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Starts a background sweeper that periodically calls {@link sweepExpired}. The timer
+     * does not keep the process alive, and a run is skipped while the previous one is
+     * still going. Failures are emitted as `error` events when an `error` listener is
+     * attached; the sweeper keeps running either way.
+     *
+     * @param {{ interval: number, collections: string[] }} [options] - `interval` between runs
+     * in milliseconds (default one minute); `collections` to sweep (default: every collection
+     * with a TTL). Collections without a TTL are never swept.
+     */
+    startExpirySweeper({ interval = 60 * 1000, collections = null } = {}) {
+        if (this.sweeper) throw new Error('Expiry sweeper is already running');
+
+        const sweeper = { timer: null, running: null };
+        const run = async () => {
+            const names = collections || [...this.ttls.keys()];
+            for (const name of names) {
+                if (this.sweeper !== sweeper) return;
+                await this.sweepExpired(name);
+            }
+        };
+        sweeper.timer = setInterval(() => {
+            if (sweeper.running) return;
+            sweeper.running = run()
+                .catch(err => {
+                    if (this.listenerCount('error') > 0) this.emit('error', err);
+                })
+                .finally(() => {
+                    sweeper.running = null;
+                });
+        }, interval);
+        sweeper.timer.unref();
+        this.sweeper = sweeper;
+    }
+
+    /**
+     * Stops the background sweeper, waiting for a run in progress to finish its current collection.
+     * @returns {Promise<void>}
+     */
+    async stopExpirySweeper() {
+        const sweeper = this.sweeper;
+        if (!sweeper) return;
+        this.sweeper = null;
+        clearInterval(sweeper.timer);
+        if (sweeper.running) await sweeper.running;
+    }
+
+    /**
+     * Watches a collection for changes. Returns an async iterator of change events
+     * (`{ type, collection, id, before, after }`) for documents matching `filter`, with
+     * the same query semantics as {@link find}. An update is delivered when the document
+     * matches before or after it, so documents leaving the filtered set are reported too.
+     * Events are buffered until consumed, up to `maxBuffered` (default 10000); past that,
+     * `overflow: 'error'` (default) ends the stream with a {@link ChangeStreamOverflowError}
+     * once the buffered events are read, and `overflow: 'drop'` discards the oldest ones.
+     * A malformed filter fails the stream on the first event. Stop watching by breaking out
+     * of the loop or calling `close()`.
+     *
+     * @param {string} collectionName - The name of the collection to watch.
+     * @param {object} [filter] - The filter query object.
+     * @param {{ maxBuffered: number, overflow: string }} [options] - Buffer limit and overflow policy.
+     * @returns {ChangeStream} An async iterator of change events.
+     * @example
+     * for await (const change of db.watch('orders', { status: 'paid' })) {
+     *   socket.emit('order', change.type, change.after);
+     * }
+     */
+    watch(collectionName, filter = {}, { maxBuffered = 10000, overflow = 'error' } = {}) {
+        if (!(maxBuffered >= 1)) {
+            throw new Error(`Invalid maxBuffered ${maxBuffered}: expected a positive number`);
+        }
+        if (overflow !== 'error' && overflow !== 'drop') {
+            throw new Error(`Invalid overflow "${overflow}": expected error or drop`);
+        }
+
+        const matches = (doc) => doc !== null && matchesFilter(doc, filter, this.onFilter, this.normaliseDocument);
+        const accept = (change) =>
+            change.collection === collectionName && (matches(change.before) || matches(change.after));
+        return new ChangeStream(this, collectionName, accept, { maxBuffered, overflow });
+    }
+
+    /**
+     * Registers the schema documents of a collection must satisfy, replacing any previous
+     * one; `null` removes it. Schemas use a JSON-Schema subset (types, `required`, `enum`,
+     * numeric and length limits, `pattern`, nested `properties`, `items` and
+     * `additionalProperties`). Every write (`create`, `update` on the merged result,
+     * `replace`, the bulk and filter variants, upserts and transactions) is checked, and a
+     * violation rejects the whole call with a {@link SchemaValidationError} listing every
+     * violating path. The `id` and `_rev` fields are managed by Segmon and not validated.
+     * Existing documents are not re-checked.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @param {Object|null} schema - The schema, or null to stop validating.
+     * @throws {Error} If the schema uses unsupported keywords or is malformed.
+     * @example
+     * db.setSchema('users', {
+     *   type: 'object',
+     *   required: ['email'],
+     *   properties: {
+     *     email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+     *     age: { type: 'integer', minimum: 0 },
+     *     tags: { type: 'array', items: { type: 'string' } }
+     *   }
+     * });
+     */
+    setSchema(collectionName, schema) {
+        if (schema === null) {
+            this.schemas.delete(collectionName);
+            return;
+        }
+        this.schemas.set(collectionName, { schema, validate: compileSchema(schema) });
+    }
+
+    /**
+     * Returns the schema registered for a collection.
+     *
+     * @param {string} collectionName - The name of the collection.
+     * @returns {Object|null} The schema, or null if none is registered.
+     */
+    getSchema(collectionName) {
+        const entry = this.schemas.get(collectionName);
+        return entry ? entry.schema : null;
+    }
+
+    /**
+     * Runs a callback as a transaction across any number of collections. The callback
+     * receives a {@link Transaction} exposing `create`, `find`, `findById`, `update` and
+     * `delete`; its writes are buffered and committed together once it resolves, or
+     * discarded if it throws.
+     *
+     * Commit locks every touched collection in a fixed order, so transactions never
+     * deadlock. If a touched collection was modified by someone else in the meantime,
+     * the callback is run again from scratch, so it must not have side effects outside
+     * the transaction.
+     *
+     * @param {function(Transaction): Promise<*>} callback - The transactional work.
+     * @param {{ retries: number }} [options] - `retries` is the number of re-runs after
+     * a conflict before giving up (default 3).
+     * @returns {Promise<*>} Whatever the callback returned.
+     * @throws {TransactionConflictError} If every attempt conflicted.
+     * @example
+     * await db.transaction(async (tx) => {
+     *   const item = await tx.findById('stock', itemId);
+     *   await tx.update('stock', itemId, { qty: item.qty - 1 });
+     *   await tx.create('orders', { itemId });
+     * });
+     */
+    async transaction(callback, { retries = 3 } = {}) {
+        let conflicts = [];
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            const tx = new Transaction(this);
+            let result;
+            try {
+                result = await callback(tx);
+            } catch (err) {
+                tx.rollback();
+                throw err;
+            }
+
+            conflicts = await tx.commit();
+            if (conflicts.length === 0) return result;
+        }
+        throw new TransactionConflictError(conflicts, retries + 1);
+    }
+
+    /**
+     * Returns segment cache statistics, or null when caching is disabled.
+     *
+     * @returns {{ hits: number, misses: number, evictions: number, hitRate: number, segments: number, bytes: number }|null}
+     */
+    cacheStats() {
+        return this.storage.cache ? this.storage.cache.stats() : null;
+    }
+
+    /* ------------------- INTERNAL HELPERS ------------------- */
+
+    /**
+     * Yields the documents of a collection in scan order, honouring the direction and
+     * keyset cursor. Segments are read through `source`, which lets transactions scan
+     * their own uncommitted view with the same semantics as {@link find}.
+     *
+     * When a `filter` is given and secondary indexes can answer part of it, segments
+     * holding no candidate document are skipped. The scan still yields every document
+     * of the segments it reads, so callers must apply the filter themselves.
+     * Expired documents are skipped.
+     *
+     * @private
+     * @param {{ listSegments: Function, readSegment: Function }} source - Segment reader.
+     * @param {string} collectionName - The name of the collection to scan.
+     * @param {{ scanDirection: string, latestItemFetched: string, filter: object }} options - Scan options.
+     * @returns {AsyncGenerator<object>} Documents in scan order.
+     */
+    async *_scan(source, collectionName, { scanDirection = 'forward', latestItemFetched = null, filter = null } = {}) {
+        const now = Date.now();
+        let segments = await source.listSegments(collectionName);
+        const candidateSegments = source === this.storage && filter
+            ? await this._indexedSegments(collectionName, filter)
+            : null;
+
+        if (scanDirection === 'backward') {
+            segments.reverse();
+        }
+
+        if (latestItemFetched) {
+            const startFile = await this.storage.locateSegment(collectionName, latestItemFetched);
+            const startSegment = parseInt(startFile.match(/segment_(\d+)\.json/)[1], 10);
+            segments = segments.filter(seg => {
+                const num = parseInt(seg.match(/segment_(\d+)\.json/)[1], 10);
+                return scanDirection === 'backward' ? num <= startSegment : num >= startSegment;
+            });
+        }
+
+        let cursorFound = latestItemFetched ? false : true;
+
+        if (latestItemFetched && segments.length > 0) {
+            // Graceful fallback check: if the starting segment doesn't contain the cursor (e.g. deleted),
+            // disable cursor skipping so we scan from the beginning of this segment.
+            const firstSegRecords = await source.readSegment(collectionName, segments[0]);
+            if (!firstSegRecords[latestItemFetched]) {
+                cursorFound = true;
+            }
+        }
+
+        for (const seg of segments) {
+            // The cursor's segment is always read so the cursor can be located
+            const isCursorSegment = latestItemFetched && seg === segments[0];
+            if (candidateSegments && !candidateSegments.has(seg) && !isCursorSegment) continue;
+
+            const records = await source.readSegment(collectionName, seg);
+            let docs = Object.values(records);
+            if (scanDirection === 'backward') {
+                docs.reverse();
+            }
+
+            for (const doc of docs) {
+                if (!cursorFound) {
+                    if (doc.id === latestItemFetched) {
+                        cursorFound = true;
+                    }
+                    continue; // Skip the cursor itself and everything before it
+                }
+                if (this._isExpired(collectionName, doc, now)) continue;
+                yield doc;
+            }
+        }
+    }
+
+    /**
+     * Emits the document-level changes of a successful commit. Listeners run synchronously
+     * once the write is durable; an exception thrown by a listener is rethrown
+     * asynchronously, so it cannot turn the completed write into a failure.
+     * @private
+     * @param {string} collectionName - The name of the collection.
+     * @param {{ type: string, id: string, before: object|null, after: object|null }[]} changes - The changes.
+     */
+    _emitChanges(collectionName, changes) {
+        for (const { type, id, before, after } of changes) {
+            const event = { type, collection: collectionName, id, before, after };
+            try {
+                this.emit(type, event);
+                this.emit('change', event);
+            } catch (err) {
+                process.nextTick(() => {
+                    throw err;
+                });
+            }
+        }
+    }
+
+    /**
+     * Tells whether a document has expired. Only collections with a TTL expire documents:
+     * elsewhere, `expiresAt` is an ordinary field.
+     * @private
+     * @param {string} collectionName - The name of the collection.
+     * @param {object} doc - A stored document.
+     * @param {number} [now=Date.now()] - Current time in epoch milliseconds.
+     * @returns {boolean} True if the document must be treated as missing.
+     */
+    _isExpired(collectionName, doc, now = Date.now()) {
+        return this.ttls.has(collectionName) && isExpired(doc, now);
+    }
+
+    /**
+     * Returns a stored document unless it is missing or expired.
+     * @private
+     * @param {string} collectionName - The name of the collection.
+     * @param {Object} records - The segment's records.
+     * @param {string} id - Document ID.
+     * @returns {object|null} The live document, or null.
+     */
+    _current(collectionName, records, id) {
+        return records[id] && !this._isExpired(collectionName, records[id]) ? records[id] : null;
+    }
+
+    /**
+     * Gives a new document its collection-level expiry, unless it carries its own.
+     * @private
+     * @param {string} collectionName - The name of the collection.
+     * @param {object} doc - The document being inserted.
+     */
+    _applyTTL(collectionName, doc) {
+        const ttl = this.ttls.get(collectionName);
+        if (Number.isFinite(ttl) && doc[EXPIRY_FIELD] === undefined) {
+            doc[EXPIRY_FIELD] = new Date(Date.now() + ttl).toISOString();
+        }
+    }
+
+    /**
+     * Checks a document about to be written against its collection's schema.
+     * @private
+     * @param {string} collectionName - The name of the collection.
+     * @param {object} doc - The document being written.
+     * @param {{ id: string, index: number }} [location] - Reported with the error.
+     * @throws {SchemaValidationError} If the document violates the schema.
+     */
+    _validate(collectionName, doc, location = {}) {
+        const entry = this.schemas.get(collectionName);
+        if (!entry) return;
+
+        const { id, _rev, ...fields } = doc;
+        const errors = entry.validate(fields);
+        if (errors.length > 0) throw new SchemaValidationError(collectionName, errors, location);
+    }
+
+    /**
+     * Sets the next revision on a document being written when `revisions` is enabled.
+     * @private
+     * @param {object} doc - The document being written.
+     * @param {number} [previousRev] - Revision of the stored document, if any.
+     * @returns {object} The document.
+     */
+    _revise(doc, previousRev = 0) {
+        if (this.revisions) doc._rev = (previousRev || 0) + 1;
+        return doc;
+    }
+
+    /**
+     * Enforces an `ifRev` precondition against the stored document.
+     * @private
+     * @throws {RevisionConflictError} If the revisions differ or the document is missing.
+     */
+    _checkRevision(collectionName, id, current, ifRev) {
+        if (ifRev === undefined) return;
+        if (!this.revisions) throw new Error('ifRev requires the revisions option to be enabled');
+        const actual = current ? current._rev : null;
+        if (actual !== ifRev) throw new RevisionConflictError(collectionName, id, ifRev, actual);
+    }
+
+    /**
+     * Upserts insert at a caller-supplied ID, whose prefix must name the segment to store it in.
+     * @private
+     */
+    _assertUpsertId(id) {
+        if (typeof id !== 'string' || !/^\d+_./.test(id)) {
+            throw new Error(`Cannot upsert at "${id}": IDs must have the form <segment>_<suffix>`);
+        }
+    }
+
+    /**
+     * Ensures a document inserted at a caller-supplied ID fits in the segment the ID belongs
+     * to, since such inserts cannot roll over to the next segment like `create` does. Reusing
+     * the slot of an expired document does not grow the segment and is always allowed.
+     * @private
+     * @param {string} collectionName - The name of the collection.
+     * @param {string} segmentFile - The segment the ID belongs to.
+     * @param {object} records - That segment's records.
+     * @param {string} id - The ID being inserted.
+     * @throws {SegmentFullError} If the segment has reached `segmentSize` or `maxItemsPerSegment`.
+     */
+    _assertRoom(collectionName, segmentFile, records, id) {
+        if (records[id] === undefined && this.storage.isSegmentFull(records)) {
+            throw new SegmentFullError(collectionName, segmentFile, id);
+        }
+    }
+
+    /**
+     * Imports a batch of rows in one commit. When the commit violates a unique index, the
+     * rows are retried one by one, so the offending rows can be reported individually.
+     * @private
+     * @param {string} collectionName - The name of the collection.
+     * @param {{ row: number, doc: object }[]} rows - Parsed rows.
+     * @param {{ preserveIds: boolean, onConflict: string }} options - Import options.
+     * @returns {Promise<{ row: number, id: string|null, result?: string, error?: Error }[]>} One outcome per row:
+     * `result` is `inserted`, `replaced` or `skipped`, unless the row failed.
+     */
+    async _importRows(collectionName, rows, options) {
+        try {
+            return await this._importBatch(collectionName, rows, options);
+        } catch (err) {
+            if (!(err instanceof DuplicateKeyError)) throw err;
+            if (rows.length === 1) return [{ row: rows[0].row, id: rows[0].doc.id ?? null, error: err }];
+            const outcomes = [];
+            for (const row of rows) outcomes.push(...await this._importRows(collectionName, [row], options));
+            return outcomes;
+        }
+    }
+
+    /**
+     * Writes a batch of imported rows under the collection lock. New documents fill the
+     * writable segment and open new ones like {@link bulkCreate}; rows keeping their IDs go
+     * to the segment their ID belongs to.
+     * @private
+     * @throws {DuplicateKeyError} If the batch violates a unique index; nothing is written.
+     */
+    async _importBatch(collectionName, rows, { preserveIds, onConflict }) {
+        const release = await this._lock(collectionName);
+        try {
+            const outcomes = [];
+            const changes = new Map();
+            const locate = await this.storage.segmentLocator(collectionName);
+            const loaded = new Map();
+            const load = async (file) => {
+                if (!loaded.has(file)) loaded.set(file, await this.storage.readSegment(collectionName, file));
+                return loaded.get(file);
+            };
+            const now = Date.now();
+
+            let { segment, segmentFile } = await this.storage.getWritableSegment(collectionName);
+            let records = await load(segmentFile);
+            let currentSize = Buffer.byteLength(JSON.stringify(records));
+            let currentItemCount = Object.keys(records).length;
+
+            for (const { row, doc: data } of rows) {
+                const keepId = preserveIds && data.id !== undefined;
+                let id = keepId ? data.id : null;
+                try {
+                    if (!keepId) {
+                        const { id: _discarded, ...fields } = data;
+                        id = await this.storage.generateId(segment, records);
+                        const doc = this._revise({ ...fields, id });
+                        this._applyTTL(collectionName, doc);
+                        this._validate(collectionName, doc);
+                        records[id] = doc;
+                        changes.set(segmentFile, records);
+                        outcomes.push({ row, id, result: 'inserted' });
+
+                        currentSize += Buffer.byteLength(JSON.stringify(doc));
+                        currentItemCount++;
+                        const sizeLimitReached = currentSize >= this.segmentSize;
+                        const itemLimitReached = this.maxItemsPerSegment &&
+                            currentItemCount >= this.maxItemsPerSegment;
+                        if (sizeLimitReached || itemLimitReached) {
+                            segment++;
+                            segmentFile = `segment_${segment}.json`;
+                            records = await load(segmentFile);
+                            currentSize = Buffer.byteLength(JSON.stringify(records));
+                            currentItemCount = Object.keys(records).length;
+                        }
+                        continue;
+                    }
+
+                    this._assertUpsertId(id);
+                    const file = locate(id);
+                    const target = await load(file);
+                    const existing = target[id] && !this._isExpired(collectionName, target[id], now) ? target[id] : null;
+                    if (existing && onConflict === 'skip') {
+                        outcomes.push({ row, id, result: 'skipped' });
+                        continue;
+                    }
+                    if (existing && onConflict === 'error') {
+                        throw new Error(`Document ${id} already exists in ${collectionName}`);
+                    }
+
+                    if (!existing) this._assertRoom(collectionName, file, target, id);
+                    const doc = this._revise({ ...data, id }, existing ? existing._rev : 0);
+                    if (!existing) this._applyTTL(collectionName, doc);
+                    this._validate(collectionName, doc, { id });
+                    target[id] = doc;
+                    changes.set(file, target);
+                    outcomes.push({ row, id, result: existing ? 'replaced' : 'inserted' });
+                } catch (err) {
+                    if (err instanceof DuplicateKeyError) throw err;
+                    outcomes.push({ row, id, error: err });
+                }
+            }
+
+            // Every row of the batch lands together, or none does
+            await this.storage.commitSegments(collectionName, changes);
+            return outcomes;
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Reads, one at a time, the segments that may hold documents matching a filter,
+     * skipping segments ruled out by secondary indexes.
+     *
+     * @private
+     * @param {string} collectionName - The name of the collection.
+     * @param {object} filter - The filter query object.
+     * @returns {AsyncGenerator<{ file: string, records: Object }>} Segment files and their records.
+     */
+    async *_matchingSegments(collectionName, filter) {
+        const segments = await this.storage.listSegments(collectionName);
+        const candidateSegments = await this._indexedSegments(collectionName, filter);
+        for (const file of segments) {
+            if (candidateSegments && !candidateSegments.has(file)) continue;
+            yield { file, records: await this.storage.readSegment(collectionName, file) };
+        }
+    }
+
+    /**
+     * Uses secondary indexes to narrow a filter down to the segments that can hold
+     * matches. Indexes store raw field values, so they are bypassed when a custom
+     * `onFilter` or `normaliseDocument` changes what the filter is evaluated against.
+     *
+     * @private
+     * @param {string} collectionName - The name of the collection.
+     * @param {object} filter - The filter query object.
+     * @returns {Promise<Set<string>|null>} Segment filenames to read, or null to read all.
+     */
+    async _indexedSegments(collectionName, filter) {
+        if (this.onFilter || this.normaliseDocument !== identity) return null;
+
+        const indexes = await this.storage.indexes.get(collectionName);
+        if (indexes.size === 0) return null;
+
+        const ids = this.storage.indexes.candidates(indexes, filter);
+        if (!ids) return null;
+        return new Set((await this.storage.locateSegments(collectionName, ids)).keys());
+    }
+
+    /**
+     * Implementation of {@link find} over an arbitrary segment source.
+     * @private
+     */
+    async _find(source, collectionName, filter = {}, { limit = Infinity, offset = 0, scanDirection = 'forward', latestItemFetched = null, sort = null, projection = null } = {}) {
+        const project = compileProjection(projection);
+        if (limit === 0) limit = Infinity;
+        if (sort && Object.keys(sort).length > 0) {
+            const sorted = await this._findSorted(source, collectionName, filter, { limit, offset, scanDirection, latestItemFetched, sort });
+            return project ? sorted.map(project) : sorted;
+        }
+
+        const results = [];
+        for await (const doc of this._iterate(source, collectionName, filter, { limit, offset, scanDirection, latestItemFetched })) {
+            results.push(project ? project(doc) : doc);
+        }
+        return results;
+    }
+
+    /**
+     * Yields the documents matching `filter` in scan order, applying offset and limit.
+     * @private
+     */
+    async *_iterate(source, collectionName, filter, { limit = Infinity, offset = 0, scanDirection = 'forward', latestItemFetched = null } = {}) {
+        let skipped = 0;
+        let yielded = 0;
+        if (limit === 0) limit = Infinity;
+
+        for await (const doc of this._scan(source, collectionName, { scanDirection, latestItemFetched, filter })) {
+            if (!matchesFilter(doc, filter, this.onFilter, this.normaliseDocument)) continue;
+            if (skipped < offset) { skipped++; continue; }
+            yield doc;
+            if (++yielded >= limit) return;
+        }
+    }
+
+    /**
+     * Sorted variant of {@link _find}. With a finite `limit`, only the best
+     * `offset + limit` matches are retained in a bounded heap while scanning;
+     * ties keep scan order.
+     * @private
+     */
+    async _findSorted(source, collectionName, filter, { limit, offset, scanDirection, latestItemFetched, sort }) {
+        const { keyOf, compare } = compileSort(sort, this.normaliseDocument);
+        const compareEntries = (a, b) => compare(a.key, b.key) || a.seq - b.seq;
+        const heap = Number.isFinite(limit) ? new BoundedHeap(offset + limit, compareEntries) : null;
+        const entries = [];
+        let seq = 0;
+
+        for await (const doc of this._scan(source, collectionName, { scanDirection, latestItemFetched, filter })) {
+            if (!matchesFilter(doc, filter, this.onFilter, this.normaliseDocument)) continue;
+            const entry = { doc, key: keyOf(doc), seq: seq++ };
+            if (heap) heap.push(entry);
+            else entries.push(entry);
+        }
+
+        const sorted = heap ? heap.toSortedArray() : entries.sort(compareEntries);
+        return sorted.slice(offset, offset + limit).map(entry => entry.doc);
+    }
+
     /* ------------------- DELEGATION ALIASES (BACKWARD COMPATIBILITY) ------------------- */
 
     _deepMerge(target, source) {
@@ -408,8 +1602,62 @@ class Segmon {
         return matchesFilter(doc, filter, this.onFilter, this.normaliseDocument);
     }
 
+    /**
+     * Acquires a read lock on a collection. With `processLock`, writes committed by other
+     * processes since the collection was last seen are detected first, so cached segments
+     * and indexes are never served stale.
+     * @param {string} name - Collection name.
+     * @returns {Promise<Function>} The release function.
+     */
+    async _readLock(name) {
+        const release = await this.mutex.readLock(name);
+        if (!this.fileLocks) return release;
+        try {
+            await this.storage.refreshFromDisk(name);
+        } catch (err) {
+            release();
+            throw err;
+        }
+        return release;
+    }
+
+    /**
+     * Acquires the write lock on a collection: the in-process mutex and, with
+     * `processLock`, the collection's lockfile. Once the lockfile is held, changes
+     * made by other processes are picked up before the caller touches the collection.
+     * @param {string} name - Collection name.
+     * @returns {Promise<Function>} An async release function.
+     * @throws {LockTimeoutError} If the lockfile could not be acquired in time.
+     */
     async _lock(name) {
-        return this.mutex.lock(name);
+        const release = await this.mutex.lock(name);
+        if (!this.fileLocks) return release;
+
+        let unlock;
+        try {
+            const dir = await this.storage.getCollectionPath(name);
+            unlock = await this.fileLocks.acquire(path.join(dir, LOCK_FILE), name);
+            await this.storage.syncWithDisk(name);
+        } catch (err) {
+            try {
+                if (unlock) await unlock();
+            } finally {
+                release();
+            }
+            throw err;
+        }
+
+        return async () => {
+            try {
+                await this.storage.stampGeneration(name);
+            } finally {
+                try {
+                    await unlock();
+                } finally {
+                    release();
+                }
+            }
+        };
     }
 }
 
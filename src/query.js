@@ -22,8 +22,224 @@ export function deepMerge(target, source) {
     return target;
 }
 
+/**
+ * Deep-copies a document value: arrays, plain objects and Dates are copied, everything
+ * else is kept as is. Unlike a JSON round-trip, Dates stay Dates and `undefined` fields
+ * are kept, and unlike `structuredClone` it behaves the same on every supported Node version.
+ * @param {*} value - Value to copy.
+ * @returns {*} An independent copy.
+ */
+export function deepClone(value) {
+    if (Array.isArray(value)) return value.map(deepClone);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (value === null || typeof value !== 'object') return value;
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) return value;
+
+    const copy = {};
+    for (const key of Object.keys(value)) copy[key] = deepClone(value[key]);
+    return copy;
+}
+
+/**
+ * Resolves a dot-path (e.g. `"address.city"`) against a value. When the path crosses an
+ * array with a non-numeric key, the key is resolved on every element and the results are
+ * collected into an array, mirroring how MongoDB addresses fields of embedded arrays.
+ * @param {*} value - The value to descend into.
+ * @param {string} path - Dot-separated path.
+ * @returns {*} The resolved value, or undefined if the path does not exist.
+ */
+export function getPath(value, path) {
+    const keys = path.split('.');
+    let current = value;
+    for (let i = 0; i < keys.length; i++) {
+        if (current === null || current === undefined) return undefined;
+        const key = keys[i];
+        if (Array.isArray(current) && !/^\d+$/.test(key)) {
+            const rest = keys.slice(i).join('.');
+            return current.map(item => getPath(item, rest)).filter(v => v !== undefined);
+        }
+        if (typeof current !== 'object') return undefined;
+        current = current[key];
+    }
+    return current;
+}
+
+/**
+ * Reads a filter or sort key from a document: a literal own property wins, otherwise
+ * the key is resolved as a dot-path.
+ * @param {Object} doc - The document.
+ * @param {string} key - Field name or dot-path.
+ * @returns {*} The field value.
+ */
+export function getField(doc, key) {
+    return Object.prototype.hasOwnProperty.call(doc, key) ? doc[key] : getPath(doc, key);
+}
+
+/**
+ * Path segments that would reach into prototypes instead of document fields.
+ */
+export const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+export const isPlainObject = (v) =>
+    v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) && !(v instanceof RegExp);
+
+const isOperatorObject = (v) =>
+    isPlainObject(v) && Object.keys(v).length > 0 && Object.keys(v).every(k => k.startsWith('$'));
+
+const comparable = (v) => (v instanceof Date ? v.getTime() : v);
+
+/**
+ * Structural equality used by `$eq`, `$in` and friends. Dates compare by timestamp.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean} True if both values are structurally equal.
+ */
+export function isEqual(a, b) {
+    a = comparable(a);
+    b = comparable(b);
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(k => isEqual(a[k], b[k]));
+}
+
+/**
+ * Orders two values of the same kind (numbers, strings or Dates).
+ * @returns {number|null} Negative, zero or positive, or null when they are not comparable.
+ */
+function compare(a, b) {
+    a = comparable(a);
+    b = comparable(b);
+    if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) return null;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Tests a value, or any element of it when it is an array.
+ */
+const anyValue = (value, predicate) =>
+    predicate(value) || (Array.isArray(value) && value.some(predicate));
+
+/**
+ * Tests whether a value (or any element) orders against the operand as `test` expects.
+ */
+const ordered = (value, operand, test) => anyValue(value, v => {
+    const order = compare(v, operand);
+    return order !== null && test(order);
+});
+
+const FIELD_OPERATORS = {
+    $eq: (value, operand) => anyValue(value, v => isEqual(v, operand)),
+    $ne: (value, operand) => !FIELD_OPERATORS.$eq(value, operand),
+    $in: (value, operand) => operand.some(o => FIELD_OPERATORS.$eq(value, o)),
+    $nin: (value, operand) => !FIELD_OPERATORS.$in(value, operand),
+    $gt: (value, operand) => ordered(value, operand, order => order > 0),
+    $gte: (value, operand) => ordered(value, operand, order => order >= 0),
+    $lt: (value, operand) => ordered(value, operand, order => order < 0),
+    $lte: (value, operand) => ordered(value, operand, order => order <= 0),
+    $exists: (value, operand) => (value !== undefined) === Boolean(operand),
+    $size: (value, operand) => Array.isArray(value) && value.length === operand,
+    $regex: (value, operand, expression) => {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, expression.$options || '');
+        return anyValue(value, v => typeof v === 'string' && regex.test(v));
+    },
+    $options: () => true, // Consumed by $regex
+    $elemMatch: (value, operand) => Array.isArray(value) && value.some(element =>
+        isOperatorObject(operand)
+            ? matchesExpression(element, operand)
+            : isPlainObject(element) && matchesQuery(element, operand)
+    ),
+    $not: (value, operand) => !matchesCondition(value, operand)
+};
+
+/**
+ * Evaluates an operator expression such as `{ $gte: 18, $lt: 65 }` against a value.
+ */
+function matchesExpression(value, expression) {
+    return Object.entries(expression).every(([op, operand]) => {
+        const operator = FIELD_OPERATORS[op];
+        if (!operator) throw new Error(`Unknown query operator: ${op}`);
+        return operator(value, operand, expression);
+    });
+}
+
+/**
+ * Evaluates a single field condition (the value side of a filter entry). Besides
+ * operator expressions this keeps the original shorthand forms: predicate functions,
+ * `{min, max}` ranges on numbers and Dates, case-insensitive substrings for strings
+ * and strict equality otherwise.
+ * A plain object against an embedded document is matched as a nested filter.
+ */
+export function matchesCondition(docField, filterVal) {
+    if (typeof filterVal === 'function') {
+        return filterVal(docField);
+    }
+
+    if (filterVal instanceof RegExp) {
+        return FIELD_OPERATORS.$regex(docField, filterVal, {});
+    }
+
+    if (isOperatorObject(filterVal)) {
+        return matchesExpression(docField, filterVal);
+    }
+
+    if (isPlainObject(filterVal)) {
+        if (typeof docField === 'number' || docField instanceof Date) {
+            const { min, max } = filterVal;
+            const value = comparable(docField);
+            if (min !== undefined && value < comparable(min)) return false;
+            if (max !== undefined && value > comparable(max)) return false;
+            return true;
+        }
+
+        if (isPlainObject(docField)) {
+            return matchesQuery(docField, filterVal);
+        }
+
+        return false;
+    }
+
+    if (typeof docField === 'string' && typeof filterVal === 'string') {
+        return docField.toLowerCase().includes(filterVal.toLowerCase());
+    }
+
+    return docField === filterVal;
+}
+
+const LOGICAL_OPERATORS = {
+    $and: (doc, filters) => filters.every(f => matchesQuery(doc, f)),
+    $or: (doc, filters) => filters.some(f => matchesQuery(doc, f)),
+    $nor: (doc, filters) => !filters.some(f => matchesQuery(doc, f)),
+    $not: (doc, filter) => !matchesQuery(doc, filter)
+};
+
+/**
+ * Matches an already normalised document against a filter, without the `onFilter` hook.
+ */
+function matchesQuery(doc, filter) {
+    return Object.entries(filter).every(([key, value]) => {
+        if (key.startsWith('$')) {
+            const operator = LOGICAL_OPERATORS[key];
+            if (!operator) throw new Error(`Unknown query operator: ${key}`);
+            return operator(doc, value);
+        }
+        return matchesCondition(getField(doc, key), value);
+    });
+}
+
 /**
  * Checks if a document matches the specified query filter.
+ *
+ * Filters support MongoDB-style operators (`$eq`, `$ne`, `$in`, `$nin`, `$gt`, `$gte`,
+ * `$lt`, `$lte`, `$regex`, `$exists`, `$size`, `$elemMatch`, `$not`), the logical
+ * operators `$and`, `$or`, `$nor` and `$not`, and dot-path keys such as `"address.city"`,
+ * alongside the shorthand forms (substring, `{min, max}` range, predicate function).
+ *
  * @param {Object} doc - The document to test.
  * @param {Object} filter - The filter query object.
  * @param {Function} [onFilter] - Optional custom filter override.
@@ -37,33 +253,162 @@ export function matchesFilter(doc, filter, onFilter = null, normaliseDocument =
         return onFilter(normalizedDoc, filter);
     }
 
-    const matchField = (docField, filterVal) => {
-        if (typeof filterVal === 'function') {
-            return filterVal(docField);
-        }
+    return matchesQuery(normalizedDoc, filter);
+}
 
-        if (typeof filterVal === 'object' && filterVal !== null && !Array.isArray(filterVal)) {
-            const { min, max } = filterVal;
-            if (typeof docField === 'number' || docField instanceof Date) {
-                const value = docField instanceof Date ? docField.getTime() : docField;
-                const minVal = min instanceof Date ? min.getTime() : min;
-                const maxVal = max instanceof Date ? max.getTime() : max;
-                if (min !== undefined && value < minVal) return false;
-                if (max !== undefined && value > maxVal) return false;
-                return true;
-            }
+/**
+ * Ranks value types for sorting, following MongoDB's cross-type order:
+ * missing/null, numbers, strings, objects, arrays, booleans, dates.
+ */
+function typeRank(value) {
+    if (value === undefined || value === null) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return 2;
+    if (value instanceof Date) return 6;
+    if (typeof value === 'boolean') return 5;
+    if (Array.isArray(value)) return 4;
+    return 3;
+}
+
+/**
+ * Compares two field values for sorting.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {number} Negative, zero or positive.
+ */
+export function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    const order = compare(a, b);
+    if (order !== null) return order;
+    if (typeof a === 'boolean') return Number(a) - Number(b);
+    if (rankA === 0) return 0;
+    return compare(JSON.stringify(a), JSON.stringify(b));
+}
+
+/**
+ * Compiles a sort specification such as `{ createdAt: -1, name: 1 }`.
+ * Directions may be `1`/`-1` or `'asc'`/`'desc'`; keys may be dot-paths.
+ * @param {Object<string, number|string>} sort - Sort specification.
+ * @param {Function} [normaliseDocument] - Document normalization applied before reading keys.
+ * @returns {{ keyOf: Function, compare: Function }} `keyOf(doc)` extracts the sort key;
+ * `compare(keyA, keyB)` orders two extracted keys.
+ */
+export function compileSort(sort, normaliseDocument = (d) => d) {
+    const fields = Object.entries(sort).map(([key, direction]) =>
+        [key, direction === -1 || direction === 'desc' ? -1 : 1]
+    );
 
-            return false;
+    return {
+        keyOf: (doc) => {
+            const normalizedDoc = normaliseDocument(doc);
+            return fields.map(([key]) => getField(normalizedDoc, key));
+        },
+        compare: (a, b) => {
+            for (let i = 0; i < fields.length; i++) {
+                const order = compareValues(a[i], b[i]);
+                if (order !== 0) return order * fields[i][1];
+            }
+            return 0;
         }
+    };
+}
+
+/**
+ * Compiles a projection into a function returning a trimmed copy of a document.
+ *
+ * Accepts an inclusion list (`['title', 'meta.updatedAt']` or `{ title: 1 }`) or an
+ * exclusion object (`{ html: 0, 'meta.embedding': 0 }`); inclusion and exclusion cannot
+ * be mixed, except for `id: 0`. Inclusion projections always keep `id` unless it is
+ * excluded explicitly. Only the selected values are copied, so large fields left out of
+ * the projection are never cloned.
+ *
+ * @param {string[]|Object<string, number|boolean>|null} projection - The projection.
+ * @returns {Function|null} `(doc) => projectedDoc`, or null for no projection.
+ */
+export function compileProjection(projection) {
+    if (!projection) return null;
 
-        if (typeof docField === 'string' && typeof filterVal === 'string') {
-            return docField.toLowerCase().includes(filterVal.toLowerCase());
+    const entries = Array.isArray(projection)
+        ? projection.map(key => [key, true])
+        : Object.entries(projection).map(([key, flag]) => [key, Boolean(flag)]);
+    if (entries.length === 0) return null;
+
+    const included = entries.filter(([, flag]) => flag).map(([key]) => key);
+    const excluded = entries.filter(([, flag]) => !flag).map(([key]) => key);
+
+    if (included.length > 0) {
+        if (excluded.some(key => key !== 'id')) {
+            throw new Error('Projection cannot mix inclusion and exclusion');
         }
+        if (!excluded.includes('id') && !included.includes('id')) included.push('id');
+        return (doc) => {
+            const result = {};
+            for (const key of included) copyPath(doc, result, key.split('.'));
+            return result;
+        };
+    }
 
-        return docField === filterVal;
+    return (doc) => {
+        const result = { ...doc };
+        for (const key of excluded) removePath(result, key.split('.'));
+        return result;
     };
+}
 
-    return Object.entries(filter).every(([key, value]) =>
-        matchField(normalizedDoc[key], value)
-    );
+/**
+ * Copies the value at `keys` from `source` into `target`, creating parent objects.
+ */
+function copyPath(source, target, keys) {
+    const [key, ...rest] = keys;
+    if (source === null || typeof source !== 'object' || !(key in source)) return;
+
+    if (rest.length === 0) {
+        target[key] = source[key];
+        return;
+    }
+
+    const child = source[key];
+    if (Array.isArray(child)) {
+        const existing = Array.isArray(target[key]) ? target[key] : [];
+        target[key] = child.map((item, i) => {
+            const projected = existing[i] || {};
+            copyPath(item, projected, rest);
+            return projected;
+        });
+        return;
+    }
+    if (child === null || typeof child !== 'object') return;
+
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    copyPath(child, target[key], rest);
+}
+
+/**
+ * Removes the value at `keys` from `target`, shallow-copying every object along the path
+ * so the original document is left untouched.
+ */
+function removePath(target, keys) {
+    const [key, ...rest] = keys;
+    if (target === null || typeof target !== 'object' || !(key in target)) return;
+
+    if (rest.length === 0) {
+        delete target[key];
+        return;
+    }
+
+    const child = target[key];
+    if (Array.isArray(child)) {
+        target[key] = child.map(item => {
+            if (item === null || typeof item !== 'object') return item;
+            const copy = { ...item };
+            removePath(copy, rest);
+            return copy;
+        });
+    } else if (child !== null && typeof child === 'object') {
+        target[key] = { ...child };
+        removePath(target[key], rest);
+    }
 }
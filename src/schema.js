@@ -0,0 +1,166 @@
+/**
+ * A JSON-Schema subset for validating documents: `type` (one or several of `string`,
+ * `number`, `integer`, `boolean`, `object`, `array`, `null`), `enum`, `required`,
+ * `properties`, `additionalProperties` (boolean or schema), `items`, `minimum`,
+ * `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `minLength`, `maxLength`,
+ * `pattern`, `minItems` and `maxItems`. `title`, `description`, `default` and
+ * `$schema` are accepted as annotations.
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+const ANNOTATIONS = new Set(['title', 'description', 'default', '$schema']);
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+/**
+ * Keyword checks. Each receives the value, the keyword's operand, the path and the
+ * compiled schema, and reports violations through `fail(path, keyword, message)`.
+ * Keywords that only apply to one kind of value ignore the others, as in JSON Schema.
+ */
+const KEYWORDS = {
+    type: (value, types, path, fail) => {
+        const list = Array.isArray(types) ? types : [types];
+        if (!list.some(type => matchesType(value, type))) fail(path, 'type', `must be of type ${list.join(' or ')}`);
+    },
+    enum: (value, options, path, fail) => {
+        const serialized = JSON.stringify(value);
+        if (!options.some(option => JSON.stringify(option) === serialized)) {
+            fail(path, 'enum', `must be one of ${options.map(o => JSON.stringify(o)).join(', ')}`);
+        }
+    },
+    minimum: (value, limit, path, fail) => {
+        if (typeof value === 'number' && value < limit) fail(path, 'minimum', `must be >= ${limit}`);
+    },
+    maximum: (value, limit, path, fail) => {
+        if (typeof value === 'number' && value > limit) fail(path, 'maximum', `must be <= ${limit}`);
+    },
+    exclusiveMinimum: (value, limit, path, fail) => {
+        if (typeof value === 'number' && value <= limit) fail(path, 'exclusiveMinimum', `must be > ${limit}`);
+    },
+    exclusiveMaximum: (value, limit, path, fail) => {
+        if (typeof value === 'number' && value >= limit) fail(path, 'exclusiveMaximum', `must be < ${limit}`);
+    },
+    minLength: (value, limit, path, fail) => {
+        if (typeof value === 'string' && value.length < limit) fail(path, 'minLength', `must be at least ${limit} characters long`);
+    },
+    maxLength: (value, limit, path, fail) => {
+        if (typeof value === 'string' && value.length > limit) fail(path, 'maxLength', `must be at most ${limit} characters long`);
+    },
+    pattern: (value, pattern, path, fail, schema) => {
+        if (typeof value === 'string' && !schema.regex.test(value)) fail(path, 'pattern', `must match pattern ${pattern}`);
+    },
+    minItems: (value, limit, path, fail) => {
+        if (Array.isArray(value) && value.length < limit) fail(path, 'minItems', `must contain at least ${limit} items`);
+    },
+    maxItems: (value, limit, path, fail) => {
+        if (Array.isArray(value) && value.length > limit) fail(path, 'maxItems', `must contain at most ${limit} items`);
+    },
+    required: (value, fields, path, fail) => {
+        if (typeOf(value) !== 'object') return;
+        for (const field of fields) {
+            if (value[field] === undefined) fail(join(path, field), 'required', 'is required');
+        }
+    },
+    properties: (value, properties, path, fail) => {
+        if (typeOf(value) !== 'object') return;
+        for (const [key, schema] of Object.entries(properties)) {
+            if (value[key] !== undefined) check(value[key], schema, join(path, key), fail);
+        }
+    },
+    additionalProperties: (value, allowed, path, fail, schema) => {
+        if (allowed === true || typeOf(value) !== 'object') return;
+        for (const key of Object.keys(value)) {
+            if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) continue;
+            if (allowed === false) fail(join(path, key), 'additionalProperties', 'is not allowed');
+            else check(value[key], allowed, join(path, key), fail);
+        }
+    },
+    items: (value, schema, path, fail) => {
+        if (!Array.isArray(value)) return;
+        value.forEach((item, i) => check(item, schema, join(path, i), fail));
+    }
+};
+
+function check(value, schema, path, fail) {
+    for (const keyword of Object.keys(schema)) {
+        if (KEYWORDS[keyword]) KEYWORDS[keyword](value, schema[keyword], path, fail, schema);
+    }
+}
+
+/**
+ * Validates a schema definition and prepares it for checking (e.g. compiles patterns).
+ * @param {Object} schema - The schema definition.
+ * @param {string} path - Location within the root schema, for error messages.
+ * @returns {Object} The prepared schema.
+ */
+function prepare(schema, path) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error(`Invalid schema at ${path}: expected an object`);
+    }
+
+    const prepared = {};
+    for (const [keyword, operand] of Object.entries(schema)) {
+        if (ANNOTATIONS.has(keyword)) continue;
+        if (!KEYWORDS[keyword]) throw new Error(`Unsupported schema keyword "${keyword}" at ${path}`);
+        prepared[keyword] = operand;
+    }
+
+    if (prepared.type !== undefined) {
+        const types = Array.isArray(prepared.type) ? prepared.type : [prepared.type];
+        const unknown = types.find(type => !TYPES.includes(type));
+        if (unknown !== undefined) throw new Error(`Unknown schema type "${unknown}" at ${path}`);
+    }
+    if (prepared.enum !== undefined && !Array.isArray(prepared.enum)) {
+        throw new Error(`Invalid schema at ${path}: enum must be an array`);
+    }
+    if (prepared.required !== undefined && !Array.isArray(prepared.required)) {
+        throw new Error(`Invalid schema at ${path}: required must be an array`);
+    }
+    if (prepared.pattern !== undefined) {
+        Object.defineProperty(prepared, 'regex', { value: new RegExp(prepared.pattern), enumerable: false });
+    }
+    if (prepared.properties !== undefined) {
+        prepared.properties = Object.fromEntries(Object.entries(prepared.properties)
+            .map(([key, sub]) => [key, prepare(sub, `${path}.properties.${key}`)]));
+    }
+    if (prepared.additionalProperties !== undefined && typeof prepared.additionalProperties !== 'boolean') {
+        prepared.additionalProperties = prepare(prepared.additionalProperties, `${path}.additionalProperties`);
+    }
+    if (prepared.items !== undefined) {
+        prepared.items = prepare(prepared.items, `${path}.items`);
+    }
+    return prepared;
+}
+
+/**
+ * Compiles a schema into a validator.
+ * @param {Object} schema - The schema definition.
+ * @returns {function(*): {path: string, keyword: string, message: string}[]} Returns every
+ * violation found in a value (empty when valid). Paths are dot-separated, with array
+ * indexes as segments (e.g. `tags.2`); the root is the empty path.
+ * @throws {Error} If the schema uses unsupported keywords or is malformed.
+ * @example
+ * const validate = compileSchema({ type: 'object', required: ['email'] });
+ * validate({}); // [{ path: 'email', keyword: 'required', message: 'is required' }]
+ */
+export function compileSchema(schema) {
+    const prepared = prepare(schema, '#');
+    return (value) => {
+        const errors = [];
+        check(value, prepared, '', (path, keyword, message) => errors.push({ path, keyword, message }));
+        return errors;
+    };
+}
@@ -0,0 +1,232 @@
+import { randomUUID } from 'crypto';
+import { compileProjection, deepClone } from './query.js';
+import { applyUpdate } from './update.js';
+
+/**
+ * A unit of work spanning one or more collections, handed to the callback of
+ * {@link Segmon#transaction}.
+ *
+ * Reads go to the committed data overlaid with the transaction's own staged
+ * segments; writes are only staged. On commit, every touched collection is
+ * locked in sorted name order (so two transactions can never deadlock), checked
+ * for concurrent changes, and the staged segments are written as one unit.
+ * Conflicts are detected rather than prevented: {@link Segmon#transaction} re-runs
+ * the callback when one is found.
+ */
+export class Transaction {
+    /**
+     * @param {import('./provider.js').default} db - The owning Segmon instance.
+     */
+    constructor(db) {
+        this.db = db;
+        this.storage = db.storage;
+        this.id = randomUUID();
+        this.active = true;
+        this.versions = new Map(); // collection -> version observed at first touch
+        this.staged = new Map(); // collection -> Map<segmentFile, records>
+        this.writers = new Map(); // collection -> { segment, segmentFile } receiving creates
+    }
+
+    /* ------------------- PUBLIC API ------------------- */
+
+    /**
+     * Stages a new document, see {@link Segmon#create}.
+     * @param {string} collectionName - The name of the collection to create the document in.
+     * @param {object} data - The document data to create.
+     * @returns {Promise<object>} The created document.
+     */
+    async create(collectionName, data) {
+        this._assertActive();
+        await this._touch(collectionName);
+
+        let writer = this.writers.get(collectionName);
+        if (!writer) {
+            writer = await this.storage.getWritableSegment(collectionName);
+            this.writers.set(collectionName, writer);
+        }
+
+        let records = await this.readSegment(collectionName, writer.segmentFile);
+        if (this.storage.isSegmentFull(records)) {
+            writer.segment++;
+            writer.segmentFile = `segment_${writer.segment}.json`;
+            records = await this.readSegment(collectionName, writer.segmentFile);
+        }
+        const id = await this.storage.generateId(writer.segment, records);
+        const doc = this.db._revise({ ...data, id });
+        this.db._applyTTL(collectionName, doc);
+        this.db._validate(collectionName, doc);
+
+        this._stage(collectionName, writer.segmentFile, records);
+        records[id] = doc;
+        return doc;
+    }
+
+    /**
+     * Finds documents as seen by this transaction, see {@link Segmon#find}.
+     * @param {string} collectionName - The name of the collection to query.
+     * @param {object} [filter] - The filter query object.
+     * @param {object} [options] - Pagination options.
+     * @returns {Promise<object[]>} An array of matching documents.
+     */
+    async find(collectionName, filter = {}, options = {}) {
+        this._assertActive();
+        return this.db._find(this, collectionName, filter, options);
+    }
+
+    /**
+     * Finds a document by its ID as seen by this transaction.
+     * @param {string} collectionName - The name of the collection to query.
+     * @param {string} id - The ID of the document to find.
+     * @param {{ projection: Object|string[] }} [options] - `projection` trims the returned document.
+     * @returns {Promise<object|null>} The document, or null if not found.
+     */
+    async findById(collectionName, id, { projection = null } = {}) {
+        this._assertActive();
+        const records = await this.readSegment(collectionName, await this.storage.locateSegment(collectionName, id));
+        const project = compileProjection(projection);
+        if (!this.db._current(collectionName, records, id)) return null;
+        return project ? project(records[id]) : records[id];
+    }
+
+    /**
+     * Stages an update, see {@link Segmon#update}.
+     * @param {string} collectionName - The name of the collection to update.
+     * @param {string} id - The ID of the document to update.
+     * @param {object} updates - The updates to apply to the document.
+     * @returns {Promise<object|null>} The updated document, or null if not found.
+     */
+    async update(collectionName, id, updates) {
+        this._assertActive();
+        const segmentFile = await this.storage.locateSegment(collectionName, id);
+        const records = await this.readSegment(collectionName, segmentFile);
+        if (!this.db._current(collectionName, records, id)) return null;
+
+        // Work on a copy: the records may already be staged, and a rejected update must not leak into them
+        const updated = this.db._revise({ ...applyUpdate(deepClone(records[id]), updates), id }, records[id]._rev);
+        this.db._validate(collectionName, updated, { id });
+        records[id] = updated;
+        this._stage(collectionName, segmentFile, records);
+        return records[id];
+    }
+
+    /**
+     * Stages a deletion, see {@link Segmon#delete}.
+     * @param {string} collectionName - The name of the collection to delete from.
+     * @param {string} id - The ID of the document to delete.
+     * @returns {Promise<boolean>} Whether the document existed.
+     */
+    async delete(collectionName, id) {
+        this._assertActive();
+        const segmentFile = await this.storage.locateSegment(collectionName, id);
+        const records = await this.readSegment(collectionName, segmentFile);
+        if (!this.db._current(collectionName, records, id)) return false;
+
+        this._stage(collectionName, segmentFile, records);
+        delete records[id];
+        return true;
+    }
+
+    /* ------------------- SEGMENT SOURCE ------------------- */
+
+    /**
+     * Lists committed segments plus segments this transaction is about to create.
+     * @param {string} collectionName - Collection name.
+     * @returns {Promise<string[]>} Segment filenames in numeric order.
+     */
+    async listSegments(collectionName) {
+        await this._touch(collectionName);
+        const segments = await this.storage.listSegments(collectionName);
+        const staged = this.staged.get(collectionName);
+        if (!staged) return segments;
+
+        for (const segmentFile of staged.keys()) {
+            if (!segments.includes(segmentFile)) segments.push(segmentFile);
+        }
+        const segmentNumber = (file) => parseInt(file.match(/segment_(\d+)\.json/)[1], 10);
+        return segments.sort((a, b) => segmentNumber(a) - segmentNumber(b));
+    }
+
+    /**
+     * Reads a segment, preferring this transaction's staged copy.
+     * @param {string} collectionName - Collection name.
+     * @param {string} segmentFile - Segment filename.
+     * @returns {Promise<Object>} The records.
+     */
+    async readSegment(collectionName, segmentFile) {
+        await this._touch(collectionName);
+        const staged = this.staged.get(collectionName);
+        if (staged && staged.has(segmentFile)) return staged.get(segmentFile);
+        return this.storage.readSegment(collectionName, segmentFile);
+    }
+
+    /* ------------------- COMMIT ------------------- */
+
+    /**
+     * Locks every touched collection in sorted order, verifies that none of them changed
+     * since this transaction first read it, and writes the staged segments. With
+     * `processLock`, taking the lock compares the collection's on-disk generation with the
+     * one seen at first touch and bumps the version on a mismatch, so writes by other
+     * processes count as conflicts too.
+     * @returns {Promise<string[]>} Conflicting collections; empty when the commit succeeded.
+     */
+    async commit() {
+        this._assertActive();
+        this.active = false;
+
+        const names = [...this.versions.keys()].sort();
+        const releases = [];
+        try {
+            for (const name of names) {
+                releases.push(await this.db._lock(name));
+            }
+
+            const conflicts = names.filter(name => this.storage.getVersion(name) !== this.versions.get(name));
+            if (conflicts.length > 0) return conflicts;
+
+            await this.storage.commitTransaction(this.id, this.staged);
+            return [];
+        } finally {
+            for (const release of releases.reverse()) await release();
+        }
+    }
+
+    /**
+     * Discards everything staged by this transaction.
+     */
+    rollback() {
+        this.active = false;
+        this.staged.clear();
+    }
+
+    /* ------------------- INTERNAL HELPERS ------------------- */
+
+    _assertActive() {
+        if (!this.active) throw new Error('Transaction is no longer active');
+    }
+
+    /**
+     * Records the version of a collection the first time the transaction looks at it.
+     * With `processLock`, writes by other processes are picked up first, so the
+     * transaction starts from current data.
+     * @param {string} collectionName - Collection name.
+     * @returns {Promise<void>}
+     */
+    async _touch(collectionName) {
+        if (this.versions.has(collectionName)) return;
+        if (this.db.fileLocks) await this.storage.refreshFromDisk(collectionName);
+        if (!this.versions.has(collectionName)) {
+            this.versions.set(collectionName, this.storage.getVersion(collectionName));
+        }
+    }
+
+    /**
+     * Marks a segment's records as modified so they are written on commit.
+     * @param {string} collectionName - Collection name.
+     * @param {string} segmentFile - Segment filename.
+     * @param {Object} records - The records, as returned by {@link Transaction#readSegment}.
+     */
+    _stage(collectionName, segmentFile, records) {
+        if (!this.staged.has(collectionName)) this.staged.set(collectionName, new Map());
+        this.staged.get(collectionName).set(segmentFile, records);
+    }
+}
@@ -0,0 +1,285 @@
+import { StringDecoder } from 'string_decoder';
+import { isPlainObject, UNSAFE_KEYS } from './query.js';
+
+/**
+ * Formats understood by {@link Segmon#export} and {@link Segmon#import}.
+ */
+export const TRANSFER_FORMATS = ['ndjson', 'json', 'csv'];
+
+/**
+ * Checks a transfer format name.
+ * @param {string} format - Format name.
+ * @throws {Error} If the format is not supported.
+ */
+export function assertFormat(format) {
+    if (!TRANSFER_FORMATS.includes(format)) {
+        throw new Error(`Unsupported format "${format}": expected one of ${TRANSFER_FORMATS.join(', ')}`);
+    }
+}
+
+/* ------------------- EXPORT ------------------- */
+
+/**
+ * Flattens nested plain objects into dot-path keys. Arrays and other values are leaves.
+ * @param {Object} doc - The document.
+ * @returns {Object<string, *>} Dot-path to value.
+ * @example
+ * flattenDocument({ id: '0_a', address: { city: 'Oslo' }, tags: ['x'] });
+ * // { id: '0_a', 'address.city': 'Oslo', tags: ['x'] }
+ */
+export function flattenDocument(doc) {
+    const flat = {};
+    const walk = (value, prefix) => {
+        for (const [key, child] of Object.entries(value)) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (isPlainObject(child) && Object.keys(child).length > 0) walk(child, path);
+            else flat[path] = child;
+        }
+    };
+    walk(doc, '');
+    return flat;
+}
+
+/**
+ * Renders one CSV cell. Missing values and null are empty; arrays and objects are JSON.
+ */
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+/**
+ * Serializes documents as NDJSON, a JSON array or CSV, one chunk at a time.
+ * @param {function(): AsyncIterable<Object>} scan - Returns a fresh iterator over the documents;
+ * CSV without explicit `columns` scans twice, first to collect the columns.
+ * @param {string} format - `ndjson`, `json` or `csv`.
+ * @param {{ columns: string[]|null }} [options] - CSV columns (dot-paths), in order.
+ * @returns {AsyncGenerator<string>} Text chunks.
+ */
+export async function* serializeDocuments(scan, format, { columns = null } = {}) {
+    if (format === 'ndjson') {
+        for await (const doc of scan()) yield `${JSON.stringify(doc)}\n`;
+        return;
+    }
+
+    if (format === 'json') {
+        let first = true;
+        yield '[';
+        for await (const doc of scan()) {
+            yield `${first ? '' : ','}\n${JSON.stringify(doc)}`;
+            first = false;
+        }
+        yield '\n]\n';
+        return;
+    }
+
+    if (!columns) {
+        const seen = new Set(['id']);
+        for await (const doc of scan()) {
+            for (const key of Object.keys(flattenDocument(doc))) seen.add(key);
+        }
+        columns = [...seen];
+    }
+    yield csvRow(columns);
+    for await (const doc of scan()) {
+        const flat = flattenDocument(doc);
+        yield csvRow(columns.map(column => flat[column]));
+    }
+}
+
+/* ------------------- IMPORT ------------------- */
+
+/**
+ * Reads an import source as text chunks, decoding UTF-8 safely across chunk boundaries.
+ * @param {string|Buffer|AsyncIterable<string|Buffer>|Iterable<string|Buffer>} source - The source.
+ * @returns {AsyncGenerator<string>} Text chunks.
+ */
+async function* textChunks(source) {
+    if (typeof source === 'string') {
+        yield source;
+        return;
+    }
+    if (Buffer.isBuffer(source)) {
+        yield source.toString('utf8');
+        return;
+    }
+    if (!source || (typeof source[Symbol.asyncIterator] !== 'function' && typeof source[Symbol.iterator] !== 'function')) {
+        throw new Error('Import source must be a string, a Buffer, a stream or an iterable of chunks');
+    }
+    const decoder = new StringDecoder('utf8');
+    for await (const chunk of source) {
+        yield typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    }
+    const rest = decoder.end();
+    if (rest) yield rest;
+}
+
+/**
+ * Splits text chunks into lines, without their line terminators.
+ * @returns {AsyncGenerator<string>} Lines.
+ */
+async function* lines(chunks) {
+    let pending = '';
+    for await (const chunk of chunks) {
+        pending += chunk;
+        const parts = pending.split('\n');
+        pending = parts.pop();
+        for (const line of parts) yield line.endsWith('\r') ? line.slice(0, -1) : line;
+    }
+    if (pending) yield pending.endsWith('\r') ? pending.slice(0, -1) : pending;
+}
+
+/**
+ * Parses RFC 4180 CSV from text chunks: quoted fields may hold commas, doubled quotes
+ * and line breaks.
+ * @returns {AsyncGenerator<string[]>} Records as lists of fields. Empty lines are skipped.
+ */
+async function* csvRecords(chunks) {
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+    let quotePending = false; // Saw a quote inside a quoted field: a doubled quote, or the closing one
+    let started = false; // Whether the current record has any content yet
+    let first = true;
+
+    for await (let chunk of chunks) {
+        if (first && chunk.charCodeAt(0) === 0xfeff) chunk = chunk.slice(1); // Byte order mark
+        first = false;
+        const ready = [];
+        for (const char of chunk) {
+            if (quotePending) {
+                quotePending = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                inQuotes = false;
+            }
+            if (inQuotes) {
+                if (char === '"') quotePending = true;
+                else field += char;
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+                started = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+                started = true;
+            } else if (char === '\n') {
+                if (started || field !== '') ready.push([...record, field]);
+                field = '';
+                record = [];
+                started = false;
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+        yield* ready;
+    }
+    if (inQuotes && !quotePending) throw new Error('Unterminated quoted CSV field');
+    if (started || field !== '') yield [...record, field];
+}
+
+/**
+ * Interprets a CSV cell: `true`/`false`, `null`, numbers and JSON arrays or objects
+ * get their JSON type, anything else stays a string.
+ */
+function inferCell(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null') return null;
+    if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return Number(text);
+    if (/^[[{]/.test(text)) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            // Not JSON after all
+        }
+    }
+    return text;
+}
+
+/**
+ * Rebuilds a nested document from dot-path columns.
+ * @throws {Error} If a column nests under another column's scalar value.
+ */
+function unflatten(columns, cells, inferTypes) {
+    const doc = {};
+    columns.forEach((column, i) => {
+        if (cells[i] === '') return; // Empty cells are missing fields
+        const keys = column.split('.');
+        let target = doc;
+        for (const key of keys.slice(0, -1)) {
+            if (target[key] === undefined) target[key] = {};
+            if (!isPlainObject(target[key])) throw new Error(`Column "${column}" conflicts with a value at "${key}"`);
+            target = target[key];
+        }
+        target[keys[keys.length - 1]] = inferTypes ? inferCell(cells[i]) : cells[i];
+    });
+    return doc;
+}
+
+/**
+ * Parses an import source into documents. Malformed records are reported as errors
+ * instead of ending the parse; a source that cannot be read at all throws.
+ * @param {string|Buffer|AsyncIterable|Iterable} source - Text, or a stream or iterable of text chunks.
+ * @param {string} format - `ndjson`, `json` or `csv`.
+ * @param {{ inferTypes: boolean }} [options] - Whether CSV cells get JSON types, or stay strings.
+ * @returns {AsyncGenerator<{row: number, doc?: Object, error?: Error}>} Documents or errors, with their
+ * 1-based position in the source: the line for NDJSON, the record (after the header) for CSV,
+ * and the element for JSON arrays.
+ * @throws {Error} If a JSON source is not an array, a CSV source has no header or a column
+ * through `__proto__`, `constructor` or `prototype`, or the source cannot be read.
+ */
+export async function* parseDocuments(source, format, { inferTypes = true } = {}) {
+    if (format === 'ndjson') {
+        let row = 0;
+        for await (const line of lines(textChunks(source))) {
+            row++;
+            if (line.trim() === '') continue;
+            try {
+                yield { row, doc: JSON.parse(line) };
+            } catch (err) {
+                yield { row, error: new Error(`Invalid JSON: ${err.message}`) };
+            }
+        }
+        return;
+    }
+
+    if (format === 'json') {
+        let text = '';
+        for await (const chunk of textChunks(source)) text += chunk;
+        const docs = JSON.parse(text);
+        if (!Array.isArray(docs)) throw new Error('JSON import source must be an array of documents');
+        for (const [i, doc] of docs.entries()) yield { row: i + 1, doc };
+        return;
+    }
+
+    let columns = null;
+    let row = 0;
+    for await (const cells of csvRecords(textChunks(source))) {
+        if (!columns) {
+            const unsafe = cells.find(column => column.split('.').some(key => UNSAFE_KEYS.has(key)));
+            if (unsafe !== undefined) throw new Error(`CSV column "${unsafe}" cannot be imported: it names a prototype key`);
+            columns = cells;
+            continue;
+        }
+        row++;
+        if (cells.length !== columns.length) {
+            yield { row, error: new Error(`Expected ${columns.length} fields, found ${cells.length}`) };
+            continue;
+        }
+        try {
+            yield { row, doc: unflatten(columns, cells, inferTypes) };
+        } catch (err) {
+            yield { row, error: err };
+        }
+    }
+    if (!columns) throw new Error('CSV import source has no header row');
+}
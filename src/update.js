@@ -0,0 +1,192 @@
+import { deepMerge, deepClone, isEqual, isPlainObject, matchesCondition, UNSAFE_KEYS } from './query.js';
+import { SegmonError } from './errors.js';
+
+/**
+ * Splits a dot-path and walks to the object holding its last key, creating
+ * intermediate objects when `create` is set.
+ * @returns {{parent: Object|Array|undefined, key: string}} The container and final key.
+ * @throws {SegmonError} If a path segment is `__proto__`, `constructor` or `prototype`.
+ */
+function resolveParent(doc, path, create) {
+    const keys = path.split('.');
+    const unsafe = keys.find(key => UNSAFE_KEYS.has(key));
+    if (unsafe) throw new SegmonError(`Update path "${path}" cannot contain "${unsafe}"`);
+    let current = doc;
+    for (const key of keys.slice(0, -1)) {
+        if (current[key] === undefined || current[key] === null) {
+            if (!create) return { parent: undefined, key: keys[keys.length - 1] };
+            current[key] = {};
+        }
+        if (typeof current[key] !== 'object') {
+            throw new Error(`Cannot traverse non-object field "${key}" in update path "${path}"`);
+        }
+        current = current[key];
+    }
+    return { parent: current, key: keys[keys.length - 1] };
+}
+
+function readPath(doc, path) {
+    const { parent, key } = resolveParent(doc, path, false);
+    return parent === undefined ? undefined : parent[key];
+}
+
+function writePath(doc, path, value) {
+    const { parent, key } = resolveParent(doc, path, true);
+    parent[key] = value;
+}
+
+function removePath(doc, path) {
+    const { parent, key } = resolveParent(doc, path, false);
+    if (parent === undefined) return;
+    if (Array.isArray(parent) && /^\d+$/.test(key)) parent[key] = null; // Keep positions stable, like MongoDB
+    else delete parent[key];
+}
+
+/**
+ * Reads an array field for `$push`/`$addToSet`, creating it when missing.
+ */
+function arrayAt(doc, path, operator) {
+    const current = readPath(doc, path);
+    if (current === undefined) {
+        const created = [];
+        writePath(doc, path, created);
+        return created;
+    }
+    if (!Array.isArray(current)) {
+        throw new Error(`Cannot apply ${operator} to non-array field "${path}"`);
+    }
+    return current;
+}
+
+const eachOf = (operand) =>
+    (isPlainObject(operand) && Array.isArray(operand.$each) ? operand.$each : [operand]);
+
+/**
+ * Tests an array element against a `$pull` condition: operator expressions and
+ * sub-documents use query semantics, anything else structural equality.
+ */
+function pullMatches(element, condition) {
+    if (isPlainObject(condition) && (Object.keys(condition).every(k => k.startsWith('$')) || isPlainObject(element))) {
+        return matchesCondition(element, condition);
+    }
+    return isEqual(element, condition);
+}
+
+const UPDATE_OPERATORS = {
+    $set: (doc, path, value) => writePath(doc, path, value),
+    $unset: (doc, path) => removePath(doc, path),
+    $inc: (doc, path, amount) => {
+        if (typeof amount !== 'number') throw new Error(`$inc requires a numeric amount for "${path}"`);
+        const current = readPath(doc, path);
+        if (current !== undefined && typeof current !== 'number') {
+            throw new Error(`Cannot apply $inc to non-numeric field "${path}"`);
+        }
+        writePath(doc, path, (current || 0) + amount);
+    },
+    $push: (doc, path, operand) => {
+        arrayAt(doc, path, '$push').push(...eachOf(operand));
+    },
+    $addToSet: (doc, path, operand) => {
+        const array = arrayAt(doc, path, '$addToSet');
+        for (const value of eachOf(operand)) {
+            if (!array.some(existing => isEqual(existing, value))) array.push(value);
+        }
+    },
+    $pull: (doc, path, condition) => {
+        const current = readPath(doc, path);
+        if (current === undefined) return;
+        if (!Array.isArray(current)) throw new Error(`Cannot apply $pull to non-array field "${path}"`);
+        writePath(doc, path, current.filter(element => !pullMatches(element, condition)));
+    },
+    $rename: (doc, path, target) => {
+        if (typeof target !== 'string' || target === path) {
+            throw new Error(`$rename target for "${path}" must be a different field name`);
+        }
+        const value = readPath(doc, path);
+        if (value === undefined) return;
+        removePath(doc, path);
+        writePath(doc, target, value);
+    }
+};
+
+/**
+ * Tells whether an update object is an operator document (`{ $set: ..., $inc: ... }`)
+ * rather than a plain object to deep-merge.
+ * @param {Object} updates - The update object.
+ * @returns {boolean} True when every key is an update operator.
+ * @throws {Error} If operators and plain fields are mixed.
+ */
+export function isOperatorUpdate(updates) {
+    if (!isPlainObject(updates)) return false;
+    const keys = Object.keys(updates);
+    const operators = keys.filter(k => k.startsWith('$'));
+    if (operators.length === 0) return false;
+    if (operators.length !== keys.length) {
+        throw new Error('Update cannot mix operators and plain fields');
+    }
+    return true;
+}
+
+/**
+ * Applies an update to a document. Operator documents support `$set`, `$unset`, `$inc`,
+ * `$push` and `$addToSet` (both with `$each`), `$pull` and `$rename`, all with dot-paths;
+ * a plain object is deep-merged as before.
+ *
+ * Operator updates are applied to a copy, so a failing operator leaves the document
+ * untouched; deep merges modify `doc` in place.
+ *
+ * @param {Object} doc - The current document.
+ * @param {Object} updates - Operator document or plain object.
+ * @returns {Object} The updated document.
+ * @throws {Error} On unknown operators, type mismatches or attempts to change `id`.
+ * @example
+ * applyUpdate(doc, { $inc: { views: 1 }, $unset: { draft: '' }, $push: { tags: 'new' } });
+ */
+export function applyUpdate(doc, updates) {
+    if (!isOperatorUpdate(updates)) return deepMerge(doc, updates);
+
+    const next = deepClone(doc);
+    for (const [op, fields] of Object.entries(updates)) {
+        const operator = UPDATE_OPERATORS[op];
+        if (!operator) throw new Error(`Unknown update operator: ${op}`);
+        if (!isPlainObject(fields)) throw new Error(`${op} expects an object of field paths`);
+
+        for (const [path, operand] of Object.entries(fields)) {
+            const touched = op === '$rename' ? [path, operand] : [path];
+            if (touched.some(p => p === 'id' || (typeof p === 'string' && p.startsWith('id.')))) {
+                throw new Error('Cannot modify the document id');
+            }
+            operator(next, path, operand);
+        }
+    }
+    return next;
+}
+
+/**
+ * Builds the starting point of an upserted document from a filter: fields compared
+ * by plain equality (or `$eq`), including those inside `$and`, are copied over.
+ * Conditions that do not pin a single value (ranges, `$in`, predicates, ...) are ignored.
+ * @param {Object} filter - The filter query object.
+ * @returns {Object} The seed document.
+ * @example
+ * seedFromFilter({ email: 'a@b.c', 'profile.plan': { $eq: 'pro' }, age: { $gt: 18 } });
+ * // { email: 'a@b.c', profile: { plan: 'pro' } }
+ */
+export function seedFromFilter(filter) {
+    const seed = {};
+    const collect = (query) => {
+        for (const [key, value] of Object.entries(query || {})) {
+            if (key === '$and' && Array.isArray(value)) {
+                value.forEach(collect);
+            } else if (key.startsWith('$') || key === 'id' || typeof value === 'function' || value instanceof RegExp) {
+                continue;
+            } else if (isPlainObject(value)) {
+                if (Object.prototype.hasOwnProperty.call(value, '$eq')) writePath(seed, key, value.$eq);
+            } else {
+                writePath(seed, key, value);
+            }
+        }
+    };
+    collect(filter);
+    return seed;
+}
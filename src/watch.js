@@ -0,0 +1,118 @@
+import { ChangeStreamOverflowError } from './errors.js';
+
+/**
+ * An async iterator over change events, returned by {@link Segmon#watch}.
+ *
+ * It subscribes as soon as it is created, so no event is missed between creating the
+ * stream and starting to iterate. Events that arrive faster than they are consumed are
+ * buffered, up to `maxBuffered`: past that, `overflow: 'error'` stops the stream and
+ * `overflow: 'drop'` discards the oldest buffered event, counting it in `dropped`.
+ * A failed stream delivers the events buffered so far, then rejects with the error.
+ * Breaking out of a `for await` loop, calling `return()` or `close()` unsubscribes.
+ */
+export class ChangeStream {
+    /**
+     * @param {import('events').EventEmitter} emitter - Source of `change` events.
+     * @param {string} collection - The watched collection, for error messages.
+     * @param {function(Object): boolean} accept - Selects the events to deliver.
+     * @param {{ maxBuffered: number, overflow: string }} [options] - Buffer limit and what to
+     * do past it (`error` or `drop`).
+     */
+    constructor(emitter, collection, accept, { maxBuffered = Infinity, overflow = 'error' } = {}) {
+        this.emitter = emitter;
+        this.collection = collection;
+        this.maxBuffered = maxBuffered;
+        this.overflow = overflow;
+        this.buffer = [];
+        this.waiting = null;
+        this.closed = false;
+        this.error = null;
+        this.dropped = 0;
+        this.listener = (event) => {
+            let accepted;
+            try {
+                accepted = accept(event);
+            } catch (err) {
+                this._fail(err);
+                return;
+            }
+            if (!accepted) return;
+            if (this.waiting) {
+                const { resolve } = this.waiting;
+                this.waiting = null;
+                resolve({ value: event, done: false });
+                return;
+            }
+            if (this.buffer.length >= this.maxBuffered) {
+                if (this.overflow === 'error') {
+                    this._fail(new ChangeStreamOverflowError(this.collection, this.maxBuffered));
+                    return;
+                }
+                this.buffer.shift();
+                this.dropped++;
+            }
+            this.buffer.push(event);
+        };
+        emitter.on('change', this.listener);
+    }
+
+    /**
+     * Resolves with the next matching event, waiting for one if none is buffered.
+     * @returns {Promise<IteratorResult<Object>>} The next event.
+     */
+    next() {
+        if (this.buffer.length > 0) return Promise.resolve({ value: this.buffer.shift(), done: false });
+        if (this.error) {
+            const err = this.error;
+            this.error = null;
+            return Promise.reject(err);
+        }
+        if (this.closed) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve, reject) => (this.waiting = { resolve, reject }));
+    }
+
+    /**
+     * Stops watching; a pending `next()` resolves as done and buffered events are dropped.
+     * @returns {Promise<IteratorResult<Object>>} A done result.
+     */
+    return() {
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    /**
+     * Stops watching.
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.buffer = [];
+        this.error = null;
+        this.emitter.off('change', this.listener);
+        if (this.waiting) {
+            this.waiting.resolve({ value: undefined, done: true });
+            this.waiting = null;
+        }
+    }
+
+    /**
+     * Stops listening because of `err`, which is delivered once the buffer is drained.
+     * @private
+     * @param {Error} err - Why the stream failed.
+     */
+    _fail(err) {
+        if (this.closed) return;
+        this.closed = true;
+        this.emitter.off('change', this.listener);
+        if (this.waiting) {
+            this.waiting.reject(err);
+            this.waiting = null;
+        } else {
+            this.error = err;
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
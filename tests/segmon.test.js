@@ -2,7 +2,17 @@ import test from 'node:test';
 import assert from 'node:assert';
 import path from 'node:path';
 import fs from 'node:fs/promises';
+import os from 'node:os';
 import Segmon from '../src/provider.js';
+import { MutexManager } from '../src/mutex.js';
+import { FileLockManager } from '../src/filelock.js';
+import { FileSystemAdapter } from '../src/adapters/fs.js';
+import { MemoryAdapter } from '../src/adapters/memory.js';
+import { testAdapterConformance } from '../src/adapters/conformance.js';
+import {
+    TransactionConflictError, DuplicateKeyError, LockTimeoutError, RevisionConflictError, SchemaValidationError,
+    AuthenticationError, SegmonError, SegmentFullError, ChangeStreamOverflowError
+} from '../src/errors.js';
 
 const TEST_DB_PATH = path.join(process.cwd(), 'test-db-data');
 
@@ -201,6 +211,10 @@ test('Segmon - Pagination (limit & offset)', async (t) => {
     assert.strictEqual(resOverflow.length, 2);
     assert.strictEqual(resOverflow[0].index, 8);
     assert.strictEqual(resOverflow[1].index, 9);
+
+    // A limit of 0 means no limit, sorted or not
+    assert.strictEqual((await db.find(colName, {}, { limit: 0 })).length, 10);
+    assert.strictEqual((await db.find(colName, {}, { limit: 0, offset: 7, sort: { index: -1 } })).length, 3);
 });
 
 test('Segmon - Dual Segmentation Limits', async (t) => {
@@ -354,3 +368,1442 @@ test('Segmon - Cursor-Based Pagination & Bidirectional Scanning', async (t) => {
     const fallbackForward = await db.find(colName, {}, { limit: 3, latestItemFetched: targetToDelete.id });
     assert.deepStrictEqual(fallbackForward.map(d => d.num), [3, 5, 6]);
 });
+
+test('Segmon - Crash-Safe Segment Writes', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH });
+    const colName = 'crash-safe';
+
+    const doc = await db.create(colName, { name: 'Survivor' });
+    const dir = path.join(TEST_DB_PATH, colName);
+
+    // Writes leave no temporary files behind
+    let files = await fs.readdir(dir);
+    assert.deepStrictEqual(files, ['segment_0.json']);
+
+    // Simulate a process that died mid-write: a truncated temp file next to the live segment
+    await fs.writeFile(path.join(dir, 'segment_0.json.12345.0.tmp'), '{"0_broken": {"na');
+
+    // A fresh instance cleans up the leftover on open and the live segment is intact
+    const reopened = new Segmon({ basePath: TEST_DB_PATH });
+    const docs = await reopened.find(colName, {});
+    assert.deepStrictEqual(docs, [doc]);
+
+    files = await fs.readdir(dir);
+    assert.deepStrictEqual(files, ['segment_0.json']);
+});
+
+test('Segmon - Journaled Bulk Operations', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2 });
+    const colName = 'journaled';
+    const dir = path.join(TEST_DB_PATH, colName);
+
+    const created = await db.bulkCreate(colName, [{ n: 0 }, { n: 1 }, { n: 2 }, { n: 3 }]);
+    assert.deepStrictEqual((await fs.readdir(dir)).sort(), ['segment_0.json', 'segment_1.json']);
+
+    // Fail the second segment write of a multi-segment bulk update
+    const adapter = db.storage.adapter;
+    const original = adapter.writeFile.bind(adapter);
+    let segmentWrites = 0;
+    adapter.writeFile = async (name, fileName, data) => {
+        if (fileName.startsWith('segment_') && ++segmentWrites === 2) {
+            throw new Error('Simulated crash');
+        }
+        return original(name, fileName, data);
+    };
+
+    await assert.rejects(
+        db.bulkUpdate(colName, created.map(d => ({ id: d.id, data: { touched: true } }))),
+        /Simulated crash/
+    );
+    adapter.writeFile = original;
+
+    // The journal survives the failure and is replayed when the collection is next opened
+    assert.ok((await fs.readdir(dir)).includes('journal.json'));
+    const reopened = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2 });
+    const docs = await reopened.find(colName, {});
+    assert.strictEqual(docs.length, 4);
+    assert.ok(docs.every(d => d.touched === true));
+    assert.ok(!(await fs.readdir(dir)).includes('journal.json'));
+
+    // A journal that never finished writing is discarded, leaving segments untouched
+    await fs.writeFile(path.join(dir, 'journal.json.999.0.tmp'), '{"segments": {"segment_0.json": {}');
+    const rolledBack = new Segmon({ basePath: TEST_DB_PATH });
+    assert.strictEqual((await rolledBack.find(colName, {})).length, 4);
+    assert.deepStrictEqual((await fs.readdir(dir)).sort(), ['segment_0.json', 'segment_1.json']);
+});
+
+test('Segmon - Multi-Collection Transactions', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH });
+    const stock = await db.create('tx-stock', { sku: 'apple', qty: 5 });
+
+    // Commit: both collections change together
+    const order = await db.transaction(async (tx) => {
+        const item = await tx.findById('tx-stock', stock.id);
+        await tx.update('tx-stock', stock.id, { qty: item.qty - 1 });
+        const created = await tx.create('tx-orders', { sku: 'apple' });
+
+        // Reads inside the transaction see its own uncommitted writes
+        assert.strictEqual((await tx.find('tx-orders', {})).length, 1);
+        assert.strictEqual((await db.find('tx-orders', {})).length, 0);
+        return created;
+    });
+    assert.strictEqual((await db.findById('tx-stock', stock.id)).qty, 4);
+    assert.deepStrictEqual(await db.findById('tx-orders', order.id), order);
+
+    // Rollback: a throwing callback discards every buffered write
+    await assert.rejects(db.transaction(async (tx) => {
+        await tx.update('tx-stock', stock.id, { qty: 0 });
+        await tx.create('tx-orders', { sku: 'apple' });
+        throw new Error('Out of budget');
+    }), /Out of budget/);
+    assert.strictEqual((await db.findById('tx-stock', stock.id)).qty, 4);
+    assert.strictEqual((await db.find('tx-orders', {})).length, 1);
+
+    // Conflict: a concurrent write forces the callback to run again on fresh data
+    let attempts = 0;
+    await db.transaction(async (tx) => {
+        attempts++;
+        const item = await tx.findById('tx-stock', stock.id);
+        if (attempts === 1) await db.update('tx-stock', stock.id, { qty: 10 });
+        await tx.update('tx-stock', stock.id, { qty: item.qty - 1 });
+    });
+    assert.strictEqual(attempts, 2);
+    assert.strictEqual((await db.findById('tx-stock', stock.id)).qty, 9);
+
+    await assert.rejects(db.transaction(async (tx) => {
+        await tx.findById('tx-stock', stock.id);
+        await db.update('tx-stock', stock.id, { touched: true });
+        await tx.update('tx-stock', stock.id, { qty: 0 });
+    }, { retries: 1 }), (err) => err instanceof TransactionConflictError && err.attempts === 2);
+    assert.strictEqual((await db.findById('tx-stock', stock.id)).qty, 9);
+});
+
+test('Segmon - Transaction Crash Recovery', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH });
+    const a = await db.create('tx-crash-a', { v: 1 });
+    const b = await db.create('tx-crash-b', { v: 1 });
+    const dirA = path.join(TEST_DB_PATH, 'tx-crash-a');
+    const dirB = path.join(TEST_DB_PATH, 'tx-crash-b');
+
+    const journalFor = (doc, txId) => JSON.stringify({
+        tx: txId,
+        segments: { 'segment_0.json': { [doc.id]: { ...doc, v: 2 } } }
+    });
+
+    // Journals without a commit marker belong to an unfinished transaction: rolled back
+    await fs.writeFile(path.join(dirA, 'journal.json'), journalFor(a, 'uncommitted'));
+    await fs.writeFile(path.join(dirB, 'journal.json'), journalFor(b, 'uncommitted'));
+    let reopened = new Segmon({ basePath: TEST_DB_PATH });
+    assert.strictEqual((await reopened.findById('tx-crash-a', a.id)).v, 1);
+    assert.strictEqual((await reopened.findById('tx-crash-b', b.id)).v, 1);
+
+    // With the marker in place, every collection replays its part
+    const marker = path.join(TEST_DB_PATH, '.transactions', 'committed.commit');
+    await fs.mkdir(path.dirname(marker), { recursive: true });
+    await fs.writeFile(marker, JSON.stringify({ collections: ['tx-crash-a', 'tx-crash-b'] }));
+    await fs.writeFile(path.join(dirA, 'journal.json'), journalFor(a, 'committed'));
+    await fs.writeFile(path.join(dirB, 'journal.json'), journalFor(b, 'committed'));
+    reopened = new Segmon({ basePath: TEST_DB_PATH });
+    assert.strictEqual((await reopened.findById('tx-crash-a', a.id)).v, 2);
+    // The marker stays until the last collection has replayed its journal
+    await fs.access(marker);
+    assert.strictEqual((await reopened.findById('tx-crash-b', b.id)).v, 2);
+    await assert.rejects(fs.access(marker), { code: 'ENOENT' });
+});
+
+test('Segmon - Transactions Across Processes', async (t) => {
+    const options = { basePath: TEST_DB_PATH, cache: true, processLock: true };
+    const a = new Segmon(options);
+    const b = new Segmon(options);
+    const stock = await a.create('tx-shared', { qty: 5 });
+    await a.findById('tx-shared', stock.id);
+
+    // Another process's write is seen by a transaction that starts after it
+    await b.update('tx-shared', stock.id, { qty: 100 });
+    let attempts = 0;
+    await a.transaction(async (tx) => {
+        attempts++;
+        const item = await tx.findById('tx-shared', stock.id);
+        await tx.update('tx-shared', stock.id, { qty: item.qty - 1 });
+    });
+    assert.strictEqual(attempts, 1);
+    assert.strictEqual((await b.findById('tx-shared', stock.id)).qty, 99);
+
+    // ... and conflicts with one that read before it
+    attempts = 0;
+    await a.transaction(async (tx) => {
+        attempts++;
+        const item = await tx.findById('tx-shared', stock.id);
+        if (attempts === 1) await b.update('tx-shared', stock.id, { qty: 10 });
+        await tx.update('tx-shared', stock.id, { qty: item.qty - 1 });
+    });
+    assert.strictEqual(attempts, 2);
+    assert.strictEqual((await b.findById('tx-shared', stock.id)).qty, 9);
+});
+
+test('Segmon - Query Operators', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH });
+    const colName = 'query-operators';
+
+    await db.bulkCreate(colName, [
+        { name: 'Alice', age: 25, tags: ['admin', 'dev'], address: { city: 'Paris', zip: '75001' }, scores: [90, 70] },
+        { name: 'Bob', age: 34, tags: ['dev'], address: { city: 'Berlin' }, scores: [60] },
+        { name: 'Carol', age: 17, tags: [], address: { city: 'paris' }, nickname: 'Caz', scores: [] },
+        { name: 'Dave', age: 51, tags: ['ops'], items: [{ sku: 'a', qty: 2 }, { sku: 'b', qty: 9 }] }
+    ]);
+
+    const names = async (filter) => (await db.find(colName, filter)).map(d => d.name).sort();
+
+    // Comparison and membership
+    assert.deepStrictEqual(await names({ age: { $gt: 25, $lte: 51 } }), ['Bob', 'Dave']);
+    assert.deepStrictEqual(await names({ name: { $eq: 'Alice' } }), ['Alice']);
+    assert.deepStrictEqual(await names({ name: { $ne: 'Alice' } }), ['Bob', 'Carol', 'Dave']);
+    assert.deepStrictEqual(await names({ name: { $in: ['Bob', 'Dave'] } }), ['Bob', 'Dave']);
+    assert.deepStrictEqual(await names({ name: { $nin: ['Bob', 'Dave'] } }), ['Alice', 'Carol']);
+
+    // Arrays: membership, size and element matching
+    assert.deepStrictEqual(await names({ tags: 'dev' }), []); // Shorthand keeps strict semantics
+    assert.deepStrictEqual(await names({ tags: { $eq: 'dev' } }), ['Alice', 'Bob']);
+    assert.deepStrictEqual(await names({ tags: { $size: 0 } }), ['Carol']);
+    assert.deepStrictEqual(await names({ scores: { $elemMatch: { $gte: 80 } } }), ['Alice']);
+    assert.deepStrictEqual(await names({ items: { $elemMatch: { sku: 'b', qty: { $gt: 5 } } } }), ['Dave']);
+
+    // Dot paths, nested shorthand and existence
+    assert.deepStrictEqual(await names({ 'address.city': 'paris' }), ['Alice', 'Carol']);
+    assert.deepStrictEqual(await names({ 'address.city': { $regex: '^P' } }), ['Alice']);
+    assert.deepStrictEqual(await names({ 'address.city': { $regex: '^p', $options: 'i' } }), ['Alice', 'Carol']);
+    assert.deepStrictEqual(await names({ address: { city: 'Berlin' } }), ['Bob']);
+    assert.deepStrictEqual(await names({ 'items.sku': { $in: ['a'] } }), ['Dave']);
+    assert.deepStrictEqual(await names({ nickname: { $exists: true } }), ['Carol']);
+    assert.deepStrictEqual(await names({ 'address.zip': { $exists: false } }), ['Bob', 'Carol', 'Dave']);
+
+    // Logical operators
+    assert.deepStrictEqual(await names({ $or: [{ age: { $lt: 18 } }, { name: 'Bob' }] }), ['Bob', 'Carol']);
+    assert.deepStrictEqual(await names({ $and: [{ tags: { $eq: 'dev' } }, { age: { $gt: 30 } }] }), ['Bob']);
+    assert.deepStrictEqual(await names({ $nor: [{ age: { $lt: 18 } }, { age: { $gt: 50 } }] }), ['Alice', 'Bob']);
+    assert.deepStrictEqual(await names({ $not: { 'address.city': 'paris' } }), ['Bob', 'Dave']);
+    assert.deepStrictEqual(await names({ age: { $not: { $gte: 25 } } }), ['Carol']);
+
+    // Shorthand forms still work alongside operators
+    assert.deepStrictEqual(await names({ age: { min: 20, max: 40 }, name: { $ne: 'Bob' } }), ['Alice']);
+
+    await assert.rejects(db.find(colName, { age: { $near: 3 } }), /Unknown query operator: \$near/);
+});
+
+test('Segmon - Sorting with Limit & Offset', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 4 });
+    const colName = 'sorted';
+
+    const people = [
+        { name: 'Eve', age: 30, createdAt: 5 },
+        { name: 'Bob', age: 25, createdAt: 9 },
+        { name: 'Amy', age: 30, createdAt: 1 },
+        { name: 'Dan', age: 41, createdAt: 7 },
+        { name: 'Cid', age: 25, createdAt: 3 },
+        { name: 'Fay', createdAt: 8 },
+        { name: 'Gus', age: 19, createdAt: 2 },
+        { name: 'Hal', age: 30, createdAt: 6 },
+        { name: 'Ivy', age: 52, createdAt: 4 }
+    ];
+    await db.bulkCreate(colName, people);
+
+    const names = (docs) => docs.map(d => d.name);
+
+    // Single key, both directions
+    assert.deepStrictEqual(
+        names(await db.find(colName, {}, { sort: { createdAt: -1 } })),
+        ['Bob', 'Fay', 'Dan', 'Hal', 'Eve', 'Ivy', 'Cid', 'Gus', 'Amy']
+    );
+
+    // Multiple keys; documents missing the field sort first
+    assert.deepStrictEqual(
+        names(await db.find(colName, {}, { sort: { age: 1, name: -1 } })),
+        ['Fay', 'Gus', 'Cid', 'Bob', 'Hal', 'Eve', 'Amy', 'Dan', 'Ivy']
+    );
+
+    // Top-k with limit, offset and a filter
+    assert.deepStrictEqual(
+        names(await db.find(colName, {}, { sort: { createdAt: -1 }, limit: 3 })),
+        ['Bob', 'Fay', 'Dan']
+    );
+    assert.deepStrictEqual(
+        names(await db.find(colName, { age: { $gte: 25 } }, { sort: { age: 'desc', createdAt: 'asc' }, limit: 3, offset: 1 })),
+        ['Dan', 'Amy', 'Eve']
+    );
+
+    // Ties keep scan order
+    assert.deepStrictEqual(
+        names(await db.find(colName, { age: 30 }, { sort: { age: 1 } })),
+        ['Eve', 'Amy', 'Hal']
+    );
+});
+
+test('Segmon - Field Projection', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH });
+    const colName = 'projected';
+
+    const [post] = await db.bulkCreate(colName, [
+        { title: 'Hello', html: '<p>big</p>', meta: { updatedAt: 2, embedding: [1, 2, 3] }, tags: [{ name: 'a', weight: 1 }] },
+        { title: 'World', html: '<p>bigger</p>', meta: { updatedAt: 1, embedding: [4, 5, 6] }, tags: [] }
+    ]);
+
+    // Inclusion lists keep the id by default and support dot-paths
+    const list = await db.find(colName, {}, { projection: ['title', 'meta.updatedAt'], sort: { 'meta.updatedAt': 1 } });
+    assert.deepStrictEqual(list.map(d => Object.keys(d).sort()), [['id', 'meta', 'title'], ['id', 'meta', 'title']]);
+    assert.deepStrictEqual(list[0].meta, { updatedAt: 1 });
+
+    assert.deepStrictEqual(
+        await db.findById(colName, post.id, { projection: { title: 1, 'tags.name': 1, id: 0 } }),
+        { title: 'Hello', tags: [{ name: 'a' }] }
+    );
+
+    // Exclusion leaves the stored document untouched
+    const [trimmed] = await db.bulkFindByIds(colName, [post.id], { projection: { html: 0, 'meta.embedding': 0 } });
+    assert.deepStrictEqual(trimmed, { id: post.id, title: 'Hello', meta: { updatedAt: 2 }, tags: [{ name: 'a', weight: 1 }] });
+    assert.deepStrictEqual((await db.findById(colName, post.id)).meta.embedding, [1, 2, 3]);
+
+    await assert.rejects(db.find(colName, {}, { projection: { title: 1, html: 0 } }), /cannot mix/);
+});
+
+test('Segmon - Aggregation (count, distinct, aggregate)', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2 });
+    const colName = 'orders';
+
+    await db.bulkCreate(colName, [
+        { customer: 'ann', amount: 30, status: 'paid', tags: ['gift'] },
+        { customer: 'bob', amount: 10, status: 'paid', tags: ['gift', 'rush'] },
+        { customer: 'ann', amount: 50, status: 'paid' },
+        { customer: 'cat', amount: 99, status: 'refunded', tags: ['rush'] },
+        { customer: 'bob', amount: 20, status: 'paid' }
+    ]);
+
+    assert.strictEqual(await db.count(colName), 5);
+    assert.strictEqual(await db.count(colName, { status: 'paid', amount: { $gte: 20 } }), 3);
+
+    assert.deepStrictEqual(await db.distinct(colName, 'customer'), ['ann', 'bob', 'cat']);
+    assert.deepStrictEqual(await db.distinct(colName, 'tags'), ['gift', 'rush']);
+    assert.deepStrictEqual(await db.distinct(colName, 'customer', { status: 'refunded' }), ['cat']);
+
+    const totals = await db.aggregate(colName, [
+        { $match: { status: 'paid' } },
+        {
+            $group: {
+                _id: '$customer',
+                total: { $sum: '$amount' },
+                average: { $avg: '$amount' },
+                smallest: { $min: '$amount' },
+                largest: { $max: '$amount' },
+                orders: { $count: {} },
+                amounts: { $push: '$amount' }
+            }
+        },
+        { $sort: { total: -1 } },
+        { $limit: 1 }
+    ]);
+    assert.deepStrictEqual(totals, [
+        { _id: 'ann', total: 80, average: 40, smallest: 30, largest: 50, orders: 2, amounts: [30, 50] }
+    ]);
+
+    // $limit: 0 means no limit, as in find
+    const everyone = [{ $group: { _id: '$customer' } }, { $sort: { _id: 1 } }, { $limit: 0 }];
+    const customers = (await db.find(colName, {}, { limit: 0 })).map(o => o.customer);
+    assert.deepStrictEqual((await db.aggregate(colName, everyone)).map(g => g._id), [...new Set(customers)].sort());
+    assert.strictEqual((await db.aggregate(colName, [{ $limit: 0 }])).length, customers.length);
+
+    const projected = await db.aggregate(colName, [
+        { $group: { _id: { status: '$status' }, n: { $sum: 1 } } },
+        { $project: { _id: 0, status: '$_id.status', n: 1 } },
+        { $match: { n: { $gt: 1 } } }
+    ]);
+    assert.deepStrictEqual(projected, [{ n: 4, status: 'paid' }]);
+
+    await assert.rejects(db.aggregate(colName, [{ $unwind: '$tags' }]), /Unknown aggregation stage/);
+});
+
+test('Segmon - Async Iterator & Read Stream', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 3 });
+    const colName = 'streamed';
+
+    const created = await db.bulkCreate(colName, Array.from({ length: 10 }, (_, i) => ({ num: i, even: i % 2 === 0 })));
+
+    const collect = async (iterable) => {
+        const out = [];
+        for await (const doc of iterable) out.push(doc.num);
+        return out;
+    };
+
+    assert.deepStrictEqual(await collect(db.iterate(colName)), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.deepStrictEqual(await collect(db.iterate(colName, { even: true }, { offset: 1, limit: 3 })), [2, 4, 6]);
+
+    // Same cursor and direction semantics as find
+    assert.deepStrictEqual(
+        await collect(db.iterate(colName, {}, { scanDirection: 'backward', latestItemFetched: created[6].id })),
+        [5, 4, 3, 2, 1, 0]
+    );
+    assert.deepStrictEqual(
+        await collect(db.iterate(colName, {}, { latestItemFetched: created[6].id, projection: ['num'] })),
+        [7, 8, 9]
+    );
+
+    // Breaking out early stops the scan
+    for await (const doc of db.iterate(colName)) {
+        if (doc.num === 1) break;
+    }
+
+    // Object-mode stream with backpressure
+    const stream = db.createReadStream(colName, { even: false }, { highWaterMark: 1 });
+    assert.strictEqual(stream.readableObjectMode, true);
+    assert.deepStrictEqual(await collect(stream), [1, 3, 5, 7, 9]);
+
+    await assert.rejects(collect(db.iterate(colName, {}, { sort: { num: 1 } })), /does not support sort/);
+});
+
+test('Segmon - Secondary Indexes', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2 });
+    const colName = 'indexed-users';
+    const dir = path.join(TEST_DB_PATH, colName);
+
+    const users = await db.bulkCreate(colName, [
+        { email: 'ann@x.io', age: 30, tags: ['a'] },
+        { email: 'bob@x.io', age: 41, tags: ['b'] },
+        { email: 'cat@x.io', age: 30, tags: ['a', 'c'] },
+        { email: 'dan@x.io', age: 22 },
+        { email: 'eve@x.io', age: 55, tags: ['c'] }
+    ]);
+
+    assert.strictEqual(await db.createIndex(colName, 'email', { unique: true }), 'email');
+    assert.strictEqual(await db.createIndex(colName, 'age'), 'age');
+    await db.createIndex(colName, 'tags');
+    assert.ok((await fs.readdir(dir)).includes('index_email.json'));
+    assert.deepStrictEqual((await fs.readdir(dir)).filter(f => f.startsWith('index_email@')).sort(),
+        ['index_email@segment_0.json', 'index_email@segment_1.json', 'index_email@segment_2.json']);
+    assert.deepStrictEqual((await db.listIndexes(colName)).map(i => [i.name, i.unique]).sort(), [
+        ['age', false], ['email', true], ['tags', false]
+    ]);
+
+    // Selective filters only read the segments holding candidates
+    const reads = [];
+    const originalRead = db.storage.readSegment.bind(db.storage);
+    db.storage.readSegment = async (name, file) => { reads.push(file); return originalRead(name, file); };
+
+    assert.deepStrictEqual((await db.find(colName, { email: 'cat@x.io' })).map(u => u.id), [users[2].id]);
+    assert.deepStrictEqual(reads, ['segment_1.json']);
+
+    reads.length = 0;
+    assert.strictEqual(await db.count(colName, { age: { $gte: 41 } }), 2);
+    assert.deepStrictEqual(reads, ['segment_0.json', 'segment_2.json']);
+    db.storage.readSegment = originalRead;
+
+    assert.deepStrictEqual((await db.find(colName, { tags: { $eq: 'c' } })).map(u => u.email), ['cat@x.io', 'eve@x.io']);
+    assert.strictEqual((await db.find(colName, { age: { $ne: 30 } })).length, 3); // Falls back to a scan
+
+    // Writes keep indexes in sync, rewriting only the index parts of the segments they change
+    const written = [];
+    const originalWrite = db.storage.adapter.writeFile.bind(db.storage.adapter);
+    db.storage.adapter.writeFile = async (name, file, data) => { written.push(file); return originalWrite(name, file, data); };
+    await db.update(colName, users[4].id, { age: 56 });
+    assert.deepStrictEqual(written.filter(f => f.startsWith('index_')), ['index_age@segment_2.json']);
+    db.storage.adapter.writeFile = originalWrite;
+    await db.update(colName, users[4].id, { age: 55 });
+
+    const fay = await db.create(colName, { email: 'fay@x.io', age: 30 });
+    await db.update(colName, users[0].id, { age: 31 });
+    await db.bulkUpdate(colName, [{ id: users[1].id, data: { email: 'bobby@x.io' } }]);
+    await db.delete(colName, users[2].id);
+    await db.bulkDelete(colName, [users[3].id]);
+    await db.transaction(async (tx) => { await tx.update(colName, users[4].id, { age: 30 }); });
+
+    assert.deepStrictEqual((await db.find(colName, { age: 30 })).map(u => u.email).sort(), ['eve@x.io', 'fay@x.io']);
+    assert.deepStrictEqual(await db.find(colName, { email: 'bob@x.io' }), []);
+    assert.strictEqual((await db.find(colName, { email: 'bobby@x.io' })).length, 1);
+
+    // Indexes survive a restart
+    const reopened = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2 });
+    assert.deepStrictEqual((await reopened.find(colName, { age: { $in: [30, 31] } })).map(u => u.id).sort(),
+        [users[0].id, users[4].id, fay.id].sort());
+
+    // Unique indexes reject duplicates, both existing and new
+    await assert.rejects(db.create(colName, { email: 'ann@x.io' }), (err) =>
+        err instanceof DuplicateKeyError && err.conflictingId === users[0].id);
+    await assert.rejects(db.createIndex(colName, 'age', { unique: true }), /different definition/);
+    await assert.rejects(db.createIndex(colName, 'age', { unique: true, name: 'age_unique' }), DuplicateKeyError);
+    assert.ok(!(await fs.readdir(dir)).includes('index_age_unique.json'));
+
+    assert.strictEqual(await db.dropIndex(colName, 'age'), true);
+    assert.strictEqual(await db.dropIndex(colName, 'age'), false);
+    assert.ok(!(await fs.readdir(dir)).some(f => f.startsWith('index_age.json') || f.startsWith('index_age@')));
+    assert.strictEqual((await db.find(colName, { age: 30 })).length, 2);
+    // Compound indexes narrow string conditions on every field too
+    const members = 'indexed-members';
+    await db.bulkCreate(members, [
+        { tenant: 'acme', email: 'ann@x.io' }, { tenant: 'acme', email: 'bob@x.io' },
+        { tenant: 'zeta', email: 'ann@x.io' }, { tenant: 'zeta', email: 'cat@x.io' },
+        { tenant: 'acme', email: 'cat@x.io' }, { tenant: 'zeta', email: 'dan@x.io' }
+    ]);
+    await db.createIndex(members, ['tenant', 'email'], { unique: true });
+    db.storage.readSegment = async (name, file) => { reads.push(file); return originalRead(name, file); };
+    reads.length = 0;
+    assert.deepStrictEqual((await db.find(members, { tenant: 'zeta', email: 'cat@x.io' })).map(m => m.email), ['cat@x.io']);
+    assert.deepStrictEqual(reads, ['segment_1.json']);
+    reads.length = 0;
+    assert.strictEqual(await db.count(members, { tenant: { $eq: 'acme' }, email: { $in: ['cat@x.io', 'dan@x.io'] } }), 1);
+    assert.deepStrictEqual(reads, ['segment_2.json']);
+    reads.length = 0;
+    assert.strictEqual(await db.count(members, { tenant: 'ACME', email: 'ANN' }), 1); // Case-insensitive substrings
+    assert.deepStrictEqual(reads, ['segment_0.json']);
+    db.storage.readSegment = originalRead;
+});
+
+test('Segmon - Unique Constraints', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2 });
+    const colName = 'unique-users';
+
+    await db.createIndex(colName, 'email', { unique: true });
+    assert.strictEqual(await db.createIndex(colName, ['first', 'last'], { unique: true }), 'first_last');
+
+    const [ann, bob] = await db.bulkCreate(colName, [
+        { email: 'ann@x.io', first: 'Ann', last: 'Lee' },
+        { email: 'bob@x.io', first: 'Bob', last: 'Lee' },
+        { first: 'Ann', last: 'Kim' },
+        { nickname: 'no-unique-fields' },
+        { nickname: 'no-unique-fields-either' }
+    ]);
+
+    const isDuplicate = (index, conflictingId) => (err) =>
+        err instanceof DuplicateKeyError && err.index === index && err.conflictingId === conflictingId;
+
+    // create / bulkCreate, including duplicates inside one batch
+    await assert.rejects(db.create(colName, { email: 'ann@x.io' }), isDuplicate('email', ann.id));
+    await assert.rejects(db.create(colName, { first: 'Bob', last: 'Lee' }), isDuplicate('first_last', bob.id));
+    await assert.rejects(db.bulkCreate(colName, [{ email: 'new@x.io' }, { email: 'new@x.io' }]), DuplicateKeyError);
+    assert.strictEqual(await db.count(colName, { email: 'new@x.io' }), 0);
+
+    // update / bulkUpdate
+    await assert.rejects(db.update(colName, bob.id, { email: 'ann@x.io' }), isDuplicate('email', ann.id));
+    await assert.rejects(db.bulkUpdate(colName, [
+        { id: bob.id, data: { note: 'untouched' } },
+        { id: ann.id, data: { first: 'Bob' } }
+    ]), isDuplicate('first_last', bob.id));
+    assert.strictEqual((await db.findById(colName, bob.id)).note, undefined);
+
+    // Swapping values inside one batch is fine
+    await db.bulkUpdate(colName, [
+        { id: ann.id, data: { email: 'bob@x.io' } },
+        { id: bob.id, data: { email: 'ann@x.io' } }
+    ]);
+    assert.strictEqual((await db.findById(colName, ann.id)).email, 'bob@x.io');
+
+    // Freed values can be reused, and compound lookups use the index
+    await db.delete(colName, bob.id);
+    const again = await db.create(colName, { email: 'ann@x.io', first: 'Bob', last: 'Lee' });
+    assert.deepStrictEqual((await db.find(colName, { first: 'Bob', last: 'Lee' })).map(d => d.id), [again.id]);
+
+    // Concurrent creates of the same value: exactly one wins
+    const results = await Promise.allSettled([
+        db.create(colName, { email: 'race@x.io' }),
+        db.create(colName, { email: 'race@x.io' })
+    ]);
+    assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+
+    // Expired documents never hold a unique key, whether they predate the index or not
+    const tokens = 'unique-tokens';
+    const past = new Date(Date.now() - 1000).toISOString();
+    db.setTTL(tokens, 60 * 1000);
+    await db.create(tokens, { token: 'old', expiresAt: past });
+    await db.create(tokens, { token: 'old' });
+    await db.createIndex(tokens, 'token', { unique: true });
+    const expired = await db.create(tokens, { token: 'abc', expiresAt: past });
+    assert.strictEqual(await db.findById(tokens, expired.id), null);
+    const fresh = await db.create(tokens, { token: 'abc' });
+    assert.deepStrictEqual((await db.find(tokens, { token: 'abc' })).map(d => d.id), [fresh.id]);
+    await db.create(tokens, { token: 'abc', expiresAt: past });
+    await assert.rejects(db.create(tokens, { token: 'abc' }), (err) => err instanceof DuplicateKeyError && err.conflictingId === fresh.id);
+    assert.strictEqual(await db.sweepExpired(tokens), 3);
+    await assert.rejects(db.update(tokens, fresh.id, { token: 'old' }), DuplicateKeyError);
+});
+
+test('Segmon - LRU Segment Cache', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2, cache: { maxSegments: 2 } });
+    const colName = 'cached';
+
+    assert.strictEqual(new Segmon({ basePath: TEST_DB_PATH }).cacheStats(), null);
+
+    const docs = await db.bulkCreate(colName, Array.from({ length: 6 }, (_, i) => ({ n: i })));
+    let stats = db.cacheStats();
+    assert.strictEqual(stats.segments, 2); // Three segments written through, budget of two
+    assert.strictEqual(stats.evictions, 1);
+
+    // Written-through segments are served without touching the disk
+    const before = db.cacheStats().hits;
+    assert.strictEqual((await db.findById(colName, docs[5].id)).n, 5);
+    assert.strictEqual(db.cacheStats().hits, before + 1);
+
+    // Segment 0 was evicted: a miss, then a hit
+    const misses = db.cacheStats().misses;
+    await db.findById(colName, docs[0].id);
+    await db.findById(colName, docs[1].id);
+    stats = db.cacheStats();
+    assert.strictEqual(stats.misses, misses + 1);
+    assert.ok(stats.hitRate > 0 && stats.hitRate < 1);
+
+    // Callers cannot corrupt the cache through returned references
+    const found = await db.findById(colName, docs[0].id);
+    found.n = 999;
+    const [listed] = await db.find(colName, { n: 0 });
+    listed.n = 999;
+    assert.strictEqual((await db.findById(colName, docs[0].id)).n, 0);
+
+    // Updates go through the cache
+    await db.update(colName, docs[0].id, { n: 100 });
+    assert.strictEqual((await db.findById(colName, docs[0].id)).n, 100);
+    assert.strictEqual((await new Segmon({ basePath: TEST_DB_PATH }).findById(colName, docs[0].id)).n, 100);
+
+    // Cached reads return what was written to disk, exactly like cold reads
+    const joined = new Date('2024-05-01T00:00:00Z');
+    const dated = await db.create('cached_dates', { joined, left: undefined });
+    const cold = new Segmon({ basePath: TEST_DB_PATH });
+    const cachedHits = db.cacheStats().hits;
+    const cached = await db.findById('cached_dates', dated.id);
+    assert.strictEqual(db.cacheStats().hits, cachedHits + 1);
+    assert.deepStrictEqual(cached, { joined: joined.toISOString(), id: dated.id });
+    assert.deepStrictEqual(cached, await cold.findById('cached_dates', dated.id));
+    assert.deepStrictEqual(await db.find('cached_dates', { joined: joined.toISOString() }), [cached]);
+
+    // Byte budgets never cache segments larger than the whole budget
+    const tiny = new Segmon({ basePath: TEST_DB_PATH, cache: { maxBytes: 10 } });
+    await tiny.find(colName, {});
+    assert.strictEqual(tiny.cacheStats().segments, 0);
+});
+
+test('Segmon - Cross-Process Locking', async (t) => {
+    // Two instances share no in-process mutex, just like two processes
+    const options = { basePath: TEST_DB_PATH, maxItemsPerSegment: 50, cache: true, processLock: true };
+    const a = new Segmon(options);
+    const b = new Segmon(options);
+    const colName = 'shared';
+
+    const [fromA, fromB] = await Promise.all([
+        Promise.all(Array.from({ length: 10 }, (_, i) => a.create(colName, { by: 'a', i }))),
+        Promise.all(Array.from({ length: 10 }, (_, i) => b.create(colName, { by: 'b', i })))
+    ]);
+    assert.strictEqual(await new Segmon({ basePath: TEST_DB_PATH }).count(colName, {}), 20);
+
+    // A writer picks up the other instance's changes instead of its own stale cache
+    await b.update(colName, fromA[0].id, { by: 'b' });
+    await a.update(colName, fromB[0].id, { touched: true });
+    assert.strictEqual((await a.findById(colName, fromA[0].id)).by, 'b');
+
+    // So does a reader, even when it has the segment cached
+    assert.strictEqual((await b.findById(colName, fromB[0].id)).touched, true);
+    await a.update(colName, fromB[0].id, { touched: false });
+    assert.strictEqual((await b.findById(colName, fromB[0].id)).touched, false);
+    assert.strictEqual((await b.find(colName, { touched: false })).length, 1);
+    const lockFile = path.join(TEST_DB_PATH, colName, 'collection.lock');
+    await assert.rejects(fs.access(lockFile), { code: 'ENOENT' });
+
+    // A live holder makes writers time out with a clear error
+    await fs.writeFile(lockFile, JSON.stringify({ pid: process.pid, hostname: os.hostname() }));
+    const impatient = new Segmon({ ...options, processLock: { timeout: 100 } });
+    await assert.rejects(impatient.create(colName, { n: 1 }), (err) => {
+        assert.ok(err instanceof LockTimeoutError);
+        assert.strictEqual(err.collection, colName);
+        assert.strictEqual(err.holder.pid, process.pid);
+        return true;
+    });
+
+    // A lockfile left behind by a dead process is taken over
+    await fs.writeFile(lockFile, JSON.stringify({ pid: 2147483647, hostname: os.hostname() }));
+    assert.ok((await impatient.create(colName, { n: 2 })).id);
+
+    // So is one that has not been refreshed in time
+    await fs.writeFile(lockFile, JSON.stringify({ pid: process.pid, hostname: 'elsewhere' }));
+    const old = new Date(Date.now() - 60000);
+    await fs.utimes(lockFile, old, old);
+    assert.ok((await impatient.create(colName, { n: 3 })).id);
+
+    // A takeover never removes a lock acquired after the stale holder was seen
+    const locks = new FileLockManager();
+    await fs.writeFile(lockFile, JSON.stringify({ pid: 2147483647, hostname: os.hostname(), token: 'dead' }));
+    const stale = await locks.readHolder(lockFile);
+    await fs.rm(lockFile);
+    const releaseFresh = await locks.acquire(lockFile, colName);
+    await locks.takeOver(lockFile, stale);
+    await fs.access(lockFile);
+    await releaseFresh();
+    await assert.rejects(fs.access(lockFile), { code: 'ENOENT' });
+    await assert.rejects(fs.access(`${lockFile}.takeover`), { code: 'ENOENT' });
+});
+
+test('Segmon - Readers-Writer Locking', async (t) => {
+    const mutex = new MutexManager();
+    const events = [];
+
+    // Readers share the lock; a waiting writer holds back readers that arrive after it
+    const r1 = await mutex.readLock('c');
+    const r2 = await mutex.readLock('c');
+    const writer = mutex.lock('c').then(release => { events.push('writer'); return release; });
+    const lateReader = mutex.readLock('c').then(release => { events.push('reader'); return release; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(events, []);
+
+    r1();
+    r2();
+    (await writer)();
+    (await lateReader)();
+    assert.deepStrictEqual(events, ['writer', 'reader']);
+    assert.strictEqual(mutex.locks.size, 0);
+
+    // Reads never observe a bulk write half applied
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2 });
+    const colName = 'rwlock';
+    const docs = await db.bulkCreate(colName, Array.from({ length: 6 }, () => ({ v: 0 })));
+
+    const writing = db.bulkUpdate(colName, docs.map(d => ({ id: d.id, data: { v: 1 } })));
+    const [found, byIds, total] = await Promise.all([
+        db.find(colName, {}),
+        db.bulkFindByIds(colName, docs.map(d => d.id)),
+        db.count(colName, { v: 1 })
+    ]);
+    await writing;
+    assert.deepStrictEqual([...new Set(found.map(d => d.v))], [1]);
+    assert.deepStrictEqual([...new Set(byIds.map(d => d.v))], [1]);
+    assert.strictEqual(total, 6);
+});
+
+test('Segmon - Update Operators', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH });
+    const colName = 'posts';
+    const post = await db.create(colName, {
+        title: 'Hello', views: 1, draft: true, tags: ['a'],
+        meta: { author: 'amy', likes: 0 },
+        comments: [{ by: 'x', score: 1 }, { by: 'y', score: 9 }]
+    });
+
+    const updated = await db.update(colName, post.id, {
+        $set: { 'meta.author': 'bob', 'meta.seo.slug': 'hello' },
+        $unset: { draft: '' },
+        $inc: { views: 2, 'meta.likes': 1, shares: 1 },
+        $push: { tags: { $each: ['b', 'c'] } },
+        $addToSet: { labels: 'x' },
+        $pull: { comments: { score: { $lt: 5 } } },
+        $rename: { title: 'headline' }
+    });
+    assert.deepStrictEqual(updated, {
+        id: post.id,
+        headline: 'Hello', views: 3, shares: 1, tags: ['a', 'b', 'c'], labels: ['x'],
+        meta: { author: 'bob', likes: 1, seo: { slug: 'hello' } },
+        comments: [{ by: 'y', score: 9 }]
+    });
+    assert.deepStrictEqual(await db.findById(colName, post.id), updated);
+
+    // $addToSet skips existing values; $pull removes by equality
+    await db.update(colName, post.id, { $addToSet: { tags: { $each: ['a', 'd'] } } });
+    await db.update(colName, post.id, { $pull: { tags: 'b' } });
+    assert.deepStrictEqual((await db.findById(colName, post.id)).tags, ['a', 'c', 'd']);
+
+    // Concurrent increments are applied atomically under the collection lock
+    await Promise.all(Array.from({ length: 10 }, () => db.update(colName, post.id, { $inc: { views: 1 } })));
+    assert.strictEqual((await db.findById(colName, post.id)).views, 13);
+
+    // Invalid updates fail without changing anything
+    await assert.rejects(db.update(colName, post.id, { $inc: { headline: 1 } }), /non-numeric field "headline"/);
+    await assert.rejects(db.update(colName, post.id, { $set: { id: 'x' } }), /Cannot modify the document id/);
+    await assert.rejects(db.update(colName, post.id, { $set: { a: 1 }, b: 2 }), /cannot mix operators/);
+    await assert.rejects(db.update(colName, post.id, { $bogus: { a: 1 } }), /Unknown update operator: \$bogus/);
+    assert.strictEqual((await db.findById(colName, post.id)).views, 13);
+
+    // Paths cannot reach into prototypes
+    await assert.rejects(db.update(colName, post.id, { $set: { '__proto__.hacked': 1 } }), SegmonError);
+    await assert.rejects(db.update(colName, post.id, { $rename: { views: 'constructor.prototype.hacked' } }), /cannot contain "constructor"/);
+    await assert.rejects(db.updateMany(colName, { 'prototype.x': 1 }, { $inc: { n: 1 } }, { upsert: true }), SegmonError);
+    assert.strictEqual({}.hacked, undefined);
+
+    // Operator updates copy values the same way on every Node version: Dates stay Dates
+    const at = new Date('2024-01-02T03:04:05Z');
+    await db.transaction(async (tx) => {
+        const draft = await tx.create(colName, { at, nested: { at }, n: 1 });
+        const bumped = await tx.update(colName, draft.id, { $inc: { n: 1 } });
+        assert.ok(bumped.at instanceof Date && bumped.nested.at instanceof Date);
+        assert.strictEqual(bumped.at.getTime(), at.getTime());
+        assert.notStrictEqual(bumped.nested, draft.nested);
+    });
+
+    // bulkUpdate accepts operators too, and plain objects still deep-merge
+    const other = await db.create(colName, { views: 0, meta: { author: 'cy', likes: 5 } });
+    await db.bulkUpdate(colName, [
+        { id: post.id, data: { $inc: { views: 1 } } },
+        { id: other.id, data: { meta: { likes: 6 } } }
+    ]);
+    assert.strictEqual((await db.findById(colName, post.id)).views, 14);
+    assert.deepStrictEqual((await db.findById(colName, other.id)).meta, { author: 'cy', likes: 6 });
+});
+
+test('Segmon - updateMany & deleteMany', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 3 });
+    const colName = 'tickets';
+    await db.bulkCreate(colName, Array.from({ length: 10 }, (_, i) => ({
+        n: i, status: i < 6 ? 'open' : 'closed', priority: i % 2 ? 'high' : 'low'
+    })));
+
+    const result = await db.updateMany(colName, { status: 'open' }, { $set: { priority: 'high' }, $inc: { touched: 1 } });
+    assert.deepStrictEqual(result, { matched: 6, modified: 6 });
+    assert.strictEqual(await db.count(colName, { status: 'open', priority: 'high', touched: 1 }), 6);
+
+    // Documents that already hold the new values match but are not modified
+    assert.deepStrictEqual(
+        await db.updateMany(colName, { status: 'open' }, { priority: 'high' }),
+        { matched: 6, modified: 0 }
+    );
+    assert.deepStrictEqual(await db.updateMany(colName, { status: 'missing' }, { x: 1 }), { matched: 0, modified: 0 });
+
+    // Indexed filters only read candidate segments and keep the index in sync
+    await db.createIndex(colName, 'status');
+    assert.deepStrictEqual(
+        await db.updateMany(colName, { status: 'closed' }, { $set: { status: 'archived' } }),
+        { matched: 4, modified: 4 }
+    );
+    assert.strictEqual((await db.find(colName, { status: 'archived' })).length, 4);
+
+    assert.deepStrictEqual(await db.deleteMany(colName, { n: { $gte: 8 } }), { matched: 2, deleted: 2 });
+    assert.deepStrictEqual(await db.deleteMany(colName, { status: 'archived' }), { matched: 2, deleted: 2 });
+    assert.strictEqual(await db.count(colName, {}), 6);
+    assert.deepStrictEqual(await db.find(colName, { status: 'archived' }), []);
+
+    // An `id` in the updates never changes the ID documents are stored under
+    const [first, second] = await db.find(colName, {}, { limit: 2 });
+    assert.deepStrictEqual(await db.updateMany(colName, {}, { id: 'hijack', seen: true }), { matched: 6, modified: 6 });
+    assert.deepStrictEqual(await db.findById(colName, first.id), { ...first, seen: true });
+    await assert.rejects(db.updateMany(colName, { n: first.n }, { $set: { id: 'hijack' } }), /Cannot modify the document id/);
+    const [bulk] = await db.bulkUpdate(colName, [{ id: second.id, data: { id: 'hijack', n: 99 } }]);
+    assert.deepStrictEqual(bulk, { ...second, seen: true, n: 99 });
+    assert.deepStrictEqual(await db.findById(colName, second.id), bulk);
+    assert.deepStrictEqual(await db.find(colName, { id: 'hijack' }), []);
+});
+
+test('Segmon - Upsert & Replace', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH });
+    const colName = 'profiles';
+    const doc = await db.create(colName, { name: 'Amy', bio: 'long text', settings: { theme: 'dark' } });
+
+    // replace drops fields that are not in the new document
+    const replaced = await db.replace(colName, doc.id, { name: 'Amy B.' });
+    assert.deepStrictEqual(replaced, { name: 'Amy B.', id: doc.id });
+    assert.deepStrictEqual(await db.findById(colName, doc.id), replaced);
+    assert.strictEqual(await db.replace(colName, '0_missing', { name: 'x' }), null);
+    await assert.rejects(db.replace(colName, doc.id, { id: 'other' }), /cannot change the document id/);
+    await assert.rejects(db.replace(colName, doc.id, { $set: { a: 1 } }), /cannot contain update operators/);
+
+    // update/replace upserts at a caller-supplied ID return the document, events tell inserts apart
+    assert.strictEqual(await db.update(colName, '0_newone', { name: 'Bo' }), null);
+    const events = [];
+    db.on('change', ({ type, id }) => events.push(`${type} ${id}`));
+    let result = await db.update(colName, '0_newone', { $set: { name: 'Bo' }, $inc: { logins: 1 } }, { upsert: true });
+    assert.deepStrictEqual(result, { name: 'Bo', logins: 1, id: '0_newone' });
+    result = await db.update(colName, '0_newone', { $inc: { logins: 1 } }, { upsert: true });
+    assert.deepStrictEqual(result, { name: 'Bo', logins: 2, id: '0_newone' });
+    result = await db.replace(colName, '0_other', { name: 'Cy' }, { upsert: true });
+    assert.deepStrictEqual(result, { name: 'Cy', id: '0_other' });
+    assert.deepStrictEqual(await db.findById(colName, '0_other'), { name: 'Cy', id: '0_other' });
+    assert.deepStrictEqual(events, ['created 0_newone', 'updated 0_newone', 'created 0_other']);
+    db.removeAllListeners('change');
+
+    // returnResult reports the outcome of the call itself
+    result = await db.update(colName, '0_third', { $inc: { logins: 1 } }, { upsert: true, returnResult: true });
+    assert.deepStrictEqual(result, { document: { logins: 1, id: '0_third' }, inserted: true });
+    result = await db.update(colName, '0_third', { $inc: { logins: 1 } }, { upsert: true, returnResult: true });
+    assert.deepStrictEqual(result, { document: { logins: 2, id: '0_third' }, inserted: false });
+    result = await db.replace(colName, '0_third', { name: 'Di' }, { upsert: true, returnResult: true });
+    assert.deepStrictEqual(result, { document: { name: 'Di', id: '0_third' }, inserted: false });
+    result = await db.replace(colName, '0_fourth', { name: 'Ed' }, { upsert: true, returnResult: true });
+    assert.deepStrictEqual(result, { document: { name: 'Ed', id: '0_fourth' }, inserted: true });
+    assert.deepStrictEqual(await db.update(colName, '0_nobody', { a: 1 }, { returnResult: true }), { document: null, inserted: false });
+    await db.bulkDelete(colName, ['0_third', '0_fourth']);
+    await assert.rejects(db.update(colName, 'not-an-id', {}, { upsert: true }), /IDs must have the form/);
+
+    // updateMany upserts through the normal segment-filling path, seeded from the filter
+    let many = await db.updateMany(colName, { email: 'dee@x.io', age: { $gt: 1 } }, { $set: { name: 'Dee' } }, { upsert: true });
+    assert.strictEqual(many.matched, 0);
+    assert.match(many.upsertedId, /^0_/);
+    assert.deepStrictEqual(await db.findById(colName, many.upsertedId), { email: 'dee@x.io', name: 'Dee', id: many.upsertedId });
+
+    many = await db.updateMany(colName, { email: 'dee@x.io' }, { $set: { name: 'Dee D.' } }, { upsert: true });
+    assert.deepStrictEqual(many, { matched: 1, modified: 1, upsertedId: null });
+    assert.strictEqual(await db.count(colName, {}), 4);
+
+    // Inserts at a caller-supplied ID respect the segment limits; updates still go through
+    const capped = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 4 });
+    await assert.rejects(capped.update(colName, '0_extra', { name: 'Ed' }, { upsert: true }), SegmentFullError);
+    await assert.rejects(capped.replace(colName, '0_extra', { name: 'Ed' }, { upsert: true }), /segment_0\.json is full/);
+    assert.strictEqual((await capped.update(colName, '0_other', { age: 5 }, { upsert: true })).age, 5);
+    assert.strictEqual(await capped.count(colName, {}), 4);
+});
+
+test('Segmon - Document Revisions', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, revisions: true });
+    const colName = 'notes';
+
+    const note = await db.create(colName, { text: 'v1' });
+    assert.strictEqual(note._rev, 1);
+    const [other] = await db.bulkCreate(colName, [{ text: 'b' }]);
+    assert.strictEqual(other._rev, 1);
+
+    // Every write increments the revision; callers cannot set it themselves
+    assert.strictEqual((await db.update(colName, note.id, { text: 'v2', _rev: 50 }))._rev, 2);
+    assert.strictEqual((await db.replace(colName, note.id, { text: 'v3' }))._rev, 3);
+    await db.bulkUpdate(colName, [{ id: note.id, data: { $set: { text: 'v4' } } }]);
+    assert.deepStrictEqual(await db.updateMany(colName, { text: 'v4' }, { pinned: true }), { matched: 1, modified: 1 });
+    assert.strictEqual((await db.findById(colName, note.id))._rev, 5);
+
+    // Compare-and-swap: two clients editing revision 5, the second one loses
+    await db.update(colName, note.id, { text: 'mine' }, { ifRev: 5 });
+    await assert.rejects(db.update(colName, note.id, { text: 'theirs' }, { ifRev: 5 }), (err) => {
+        assert.ok(err instanceof RevisionConflictError);
+        assert.strictEqual(err.id, note.id);
+        assert.strictEqual(err.expected, 5);
+        assert.strictEqual(err.actual, 6);
+        return true;
+    });
+    await assert.rejects(db.replace(colName, note.id, { text: 'x' }, { ifRev: 1 }), RevisionConflictError);
+    await assert.rejects(db.delete(colName, note.id, { ifRev: 2 }), RevisionConflictError);
+    assert.strictEqual((await db.findById(colName, note.id)).text, 'mine');
+
+    assert.strictEqual(await db.delete(colName, note.id, { ifRev: 6 }), true);
+    await assert.rejects(db.update(colName, note.id, { text: 'gone' }, { ifRev: 6 }), { actual: null });
+
+    // Transactions bump revisions as well
+    await db.transaction(async (tx) => {
+        await tx.update(colName, other.id, { text: 'tx' });
+    });
+    assert.strictEqual((await db.findById(colName, other.id))._rev, 2);
+
+    // Without the option, no _rev is kept and ifRev is refused
+    const plain = new Segmon({ basePath: TEST_DB_PATH });
+    const doc = await plain.create('plain', { a: 1 });
+    assert.strictEqual(doc._rev, undefined);
+    await assert.rejects(plain.update('plain', doc.id, { a: 2 }, { ifRev: 1 }), /requires the revisions option/);
+});
+
+test('Segmon - Segment Compaction', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 4 });
+    const colName = 'churn';
+    const docs = await db.bulkCreate(colName, Array.from({ length: 20 }, (_, i) => ({ n: i, tag: i % 2 ? 'odd' : 'even' })));
+    await db.createIndex(colName, 'tag');
+
+    // Keep one document in each of the first four segments
+    await db.bulkDelete(colName, docs.filter(d => d.n < 16 && d.n % 4 !== 0).map(d => d.id));
+    const survivors = docs.filter(d => d.n >= 16 || d.n % 4 === 0);
+
+    const report = await db.compact(colName);
+    assert.strictEqual(report.filesBefore, 5);
+    assert.strictEqual(report.filesAfter, 2); // Four sparse segments merged; the last one is kept
+    assert.strictEqual(report.filesReclaimed, 3);
+    assert.ok(report.bytesReclaimed > 0);
+    assert.strictEqual(report.bytesBefore - report.bytesAfter, report.bytesReclaimed);
+
+    // Every ID still resolves, and order is preserved
+    for (const doc of survivors) {
+        assert.strictEqual((await db.findById(colName, doc.id)).n, doc.n);
+    }
+    assert.deepStrictEqual((await db.find(colName, {})).map(d => d.n), survivors.map(d => d.n));
+    assert.deepStrictEqual((await db.bulkFindByIds(colName, survivors.map(d => d.id))).map(d => d.n), survivors.map(d => d.n));
+    assert.strictEqual((await db.find(colName, { tag: 'even' })).length, 6);
+    const page = await db.find(colName, {}, { latestItemFetched: docs[4].id, limit: 2 });
+    assert.deepStrictEqual(page.map(d => d.n), [8, 12]);
+
+    // Writes by ID follow the relocation map, and new IDs never reuse merged segment numbers
+    await db.update(colName, docs[8].id, { $set: { moved: true } });
+    await db.bulkUpdate(colName, [{ id: docs[12].id, data: { moved: true } }]);
+    assert.strictEqual(await db.count(colName, { moved: true }), 2);
+    assert.strictEqual(await db.delete(colName, docs[4].id), true);
+    const fresh = await db.bulkCreate(colName, Array.from({ length: 5 }, (_, i) => ({ n: 100 + i })));
+    assert.ok(fresh.every(d => Number(d.id.split('_')[0]) >= 4));
+    assert.strictEqual((await db.findById(colName, fresh[4].id)).n, 104);
+
+    // Compacting again folds earlier relocations into the new target; a fresh instance reads the map from disk
+    await db.bulkDelete(colName, [docs[16].id, docs[17].id, docs[18].id]);
+    await db.compact(colName);
+    const reopened = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 4 });
+    for (const doc of [docs[0], docs[12], docs[19], ...fresh]) {
+        assert.ok(await reopened.findById(colName, doc.id), doc.id);
+    }
+    const again = await reopened.compact(colName);
+    assert.strictEqual(again.filesBefore, 3);
+    assert.strictEqual(again.filesReclaimed, 0);
+    assert.strictEqual(again.bytesReclaimed, 0);
+});
+
+test('Segmon - Schema Validation', async (t) => {
+    const schema = {
+        type: 'object',
+        required: ['email', 'profile'],
+        additionalProperties: false,
+        properties: {
+            email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+            age: { type: 'integer', minimum: 0, maximum: 150 },
+            role: { enum: ['admin', 'user'] },
+            tags: { type: 'array', maxItems: 3, items: { type: 'string', minLength: 1 } },
+            profile: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string' }, nickname: { type: ['string', 'null'] } }
+            }
+        }
+    };
+    const db = new Segmon({ basePath: TEST_DB_PATH, revisions: true, schemas: { members: schema } });
+    const colName = 'members';
+    assert.deepStrictEqual(db.getSchema(colName), schema);
+
+    const valid = await db.create(colName, { email: 'a@x.io', age: 30, profile: { name: 'Amy', nickname: null } });
+    assert.ok(valid.id && valid._rev === 1); // Managed fields pass additionalProperties: false
+
+    // Every violating path is reported
+    await assert.rejects(
+        db.create(colName, { email: 'nope', age: -1.5, role: 'root', tags: ['a', '', 'c', 'd'], extra: 1, profile: {} }),
+        (err) => {
+            assert.ok(err instanceof SchemaValidationError);
+            assert.strictEqual(err.collection, colName);
+            assert.deepStrictEqual(err.errors.map(e => `${e.path}:${e.keyword}`).sort(), [
+                'age:minimum', 'age:type', 'email:pattern', 'extra:additionalProperties',
+                'profile.name:required', 'role:enum', 'tags.1:minLength', 'tags:maxItems'
+            ]);
+            return true;
+        }
+    );
+
+    // update is checked against the merged result, replace against the new document
+    await assert.rejects(db.update(colName, valid.id, { profile: { name: 42 } }), (err) => {
+        assert.strictEqual(err.id, valid.id);
+        assert.deepStrictEqual(err.errors, [{ path: 'profile.name', keyword: 'type', message: 'must be of type string' }]);
+        return true;
+    });
+    await assert.rejects(db.update(colName, valid.id, { $unset: { email: '' } }), /email is required/);
+    await assert.rejects(db.replace(colName, valid.id, { email: 'b@x.io' }), /profile is required/);
+    assert.deepStrictEqual(await db.findById(colName, valid.id), valid);
+
+    // Bulk calls are all-or-nothing and name the offending position
+    await assert.rejects(
+        db.bulkCreate(colName, [{ email: 'c@x.io', profile: { name: 'C' } }, { email: 'd@x.io' }]),
+        { index: 1 }
+    );
+    await assert.rejects(db.bulkUpdate(colName, [{ id: valid.id, data: { age: 'old' } }]), { index: 0, id: valid.id });
+    await assert.rejects(db.updateMany(colName, {}, { $set: { role: 'guest' } }), SchemaValidationError);
+    await assert.rejects(db.updateMany(colName, { email: 'e@x.io' }, { $set: { age: 1 } }, { upsert: true }), /profile is required/);
+    await assert.rejects(db.transaction(async (tx) => {
+        await tx.update(colName, valid.id, { age: 200 });
+    }), /age must be <= 150/);
+    assert.strictEqual(await db.count(colName, {}), 1);
+    assert.deepStrictEqual(await db.findById(colName, valid.id), valid);
+
+    // Schemas can be replaced or removed; malformed schemas are refused
+    assert.throws(() => db.setSchema(colName, { type: 'text' }), /Unknown schema type "text"/);
+    assert.throws(() => db.setSchema(colName, { properties: { a: { format: 'email' } } }), /Unsupported schema keyword "format" at #.properties.a/);
+    db.setSchema(colName, null);
+    assert.strictEqual(db.getSchema(colName), null);
+    assert.ok(await db.create(colName, { anything: true }));
+});
+
+test('Segmon - Change Events & watch()', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2 });
+    const colName = 'feed';
+    const events = [];
+    db.on('change', (e) => events.push(`${e.type}:${e.collection}:${e.before?.n ?? '-'}>${e.after?.n ?? '-'}`));
+    const updated = [];
+    db.on('updated', (e) => updated.push(e));
+
+    const stream = db.watch(colName, { n: { $gte: 10 } });
+
+    const doc = await db.create(colName, { n: 1 });
+    await db.update(colName, doc.id, { n: 10 });
+    await db.update(colName, doc.id, { n: 10 }); // No actual change: no event
+    const bulk = await db.bulkCreate(colName, [{ n: 2 }, { n: 3 }, { n: 20 }]);
+    await db.updateMany(colName, { n: { $lt: 5 } }, { $inc: { n: 100 } });
+    await db.delete(colName, doc.id);
+    await db.transaction(async (tx) => {
+        await tx.create(colName, { n: 30 });
+        await tx.create('other', { n: 40 });
+    });
+    await db.bulkDelete(colName, [bulk[0].id]);
+
+    assert.deepStrictEqual(events, [
+        'created:feed:->1',
+        'updated:feed:1>10',
+        'created:feed:->2', 'created:feed:->3', 'created:feed:->20',
+        'updated:feed:2>102', 'updated:feed:3>103',
+        'deleted:feed:10>-',
+        'created:feed:->30', 'created:other:->40',
+        'deleted:feed:102>-'
+    ]);
+    assert.deepStrictEqual(updated[0].before, { n: 1, id: doc.id });
+    assert.deepStrictEqual(updated[0].after, { n: 10, id: doc.id });
+
+    // Compaction moves documents without changing them: no events
+    events.length = 0;
+    await db.compact(colName);
+    assert.deepStrictEqual(events, []);
+
+    // watch() filters with query semantics, and buffered events are delivered in order
+    const seen = [];
+    for await (const change of stream) {
+        seen.push(`${change.type}:${change.id === doc.id ? 'doc' : change.after?.n ?? change.before.n}`);
+        if (seen.length === 7) break;
+    }
+    assert.deepStrictEqual(seen, ['updated:doc', 'created:20', 'updated:102', 'updated:103', 'deleted:doc', 'created:30', 'deleted:102']);
+    assert.strictEqual(db.listenerCount('change'), 1);
+
+    // A pending next() resolves as done when the stream is closed
+    const idle = db.watch(colName);
+    const pending = idle.next();
+    idle.close();
+    assert.deepStrictEqual(await pending, { value: undefined, done: true });
+
+    // A full buffer either fails the stream after the buffered events, or drops the oldest
+    const strict = db.watch(colName, {}, { maxBuffered: 2 });
+    const lossy = db.watch(colName, {}, { maxBuffered: 2, overflow: 'drop' });
+    await db.bulkCreate(colName, [{ n: 50 }, { n: 51 }, { n: 52 }]);
+    assert.strictEqual((await strict.next()).value.after.n, 50);
+    assert.strictEqual((await strict.next()).value.after.n, 51);
+    await assert.rejects(strict.next(), ChangeStreamOverflowError);
+    assert.deepStrictEqual(await strict.next(), { value: undefined, done: true });
+    assert.deepStrictEqual([(await lossy.next()).value.after.n, lossy.dropped], [51, 1]);
+    lossy.close();
+    assert.strictEqual(db.listenerCount('change'), 1);
+    assert.throws(() => db.watch(colName, {}, { overflow: 'block' }), /Invalid overflow/);
+
+    // The filter is only ever run against real documents; a malformed one fails the stream
+    let calls = 0;
+    const probed = new Segmon({ basePath: TEST_DB_PATH, onFilter: () => { calls++; return true; } });
+    probed.watch(colName).close();
+    assert.strictEqual(calls, 0);
+    const bogus = db.watch(colName, { n: { $bogus: 1 } });
+    const failed = assert.rejects(bogus.next(), /Unknown query operator/);
+    await db.create(colName, { n: 60 });
+    await failed;
+    assert.strictEqual(db.listenerCount('change'), 1);
+});
+
+test('Segmon - Document TTL & Expiry Sweeper', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2, ttl: { sessions: 60 * 1000 } });
+    const colName = 'sessions';
+    const past = new Date(Date.now() - 1000).toISOString();
+
+    // Collection TTL fills in expiresAt; an explicit expiresAt wins
+    const live = await db.create(colName, { user: 'a' });
+    assert.ok(Date.parse(live.expiresAt) > Date.now());
+    const [stale, pinned] = await db.bulkCreate(colName, [
+        { user: 'b', expiresAt: past },
+        { user: 'c', expiresAt: null }
+    ]);
+    assert.strictEqual(pinned.expiresAt, null);
+
+    // Expired documents are hidden from every read path
+    assert.strictEqual(await db.findById(colName, stale.id), null);
+    assert.deepStrictEqual((await db.bulkFindByIds(colName, [live.id, stale.id])).map(d => d.id), [live.id]);
+    assert.deepStrictEqual((await db.find(colName, {})).map(d => d.user).sort(), ['a', 'c']);
+    assert.strictEqual(await db.count(colName, {}), 2);
+    assert.deepStrictEqual((await db.deleteMany(colName, { user: 'b' })).matched, 0);
+    await db.transaction(async (tx) => {
+        assert.strictEqual(await tx.findById(colName, stale.id), null);
+    });
+
+    // Writes treat expired documents as missing too
+    assert.strictEqual(await db.update(colName, stale.id, { expiresAt: null }), null);
+    assert.strictEqual(await db.replace(colName, stale.id, { user: 'b' }), null);
+    assert.deepStrictEqual(await db.bulkUpdate(colName, [{ id: stale.id, data: { user: 'x' } }]), []);
+    assert.strictEqual(await db.delete(colName, stale.id), false);
+    assert.strictEqual(await db.bulkDelete(colName, [stale.id]), 0);
+    await db.transaction(async (tx) => {
+        assert.strictEqual(await tx.update(colName, stale.id, { user: 'x' }), null);
+        assert.strictEqual(await tx.delete(colName, stale.id), false);
+    });
+
+    // Sweeping physically deletes expired documents and emits deletions
+    const deleted = [];
+    db.on('deleted', (e) => deleted.push(e.id));
+    assert.strictEqual(await db.sweepExpired(colName), 1);
+    assert.deepStrictEqual(deleted, [stale.id]);
+    assert.strictEqual(await db.sweepExpired(colName), 0);
+
+    db.setTTL(colName, null);
+    assert.strictEqual((await db.create(colName, { user: 'd' })).expiresAt, undefined);
+    assert.throws(() => db.setTTL(colName, -5), /positive number/);
+
+    // Without a TTL, expiresAt is an ordinary field: nothing is hidden or swept
+    const coupon = await db.create('coupons', { code: 'SPRING', expiresAt: past });
+    assert.strictEqual((await db.findById('coupons', coupon.id)).code, 'SPRING');
+    assert.strictEqual(await db.count('coupons'), 1);
+    assert.strictEqual(await db.sweepExpired('coupons'), 0);
+
+    // An Infinity TTL honors each document's own expiresAt without stamping the others
+    db.setTTL('coupons', Infinity);
+    const forever = await db.create('coupons', { code: 'ALWAYS' });
+    assert.strictEqual(forever.expiresAt, undefined);
+    assert.strictEqual(await db.findById('coupons', coupon.id), null);
+    assert.deepStrictEqual((await db.find('coupons', {})).map(c => c.code), ['ALWAYS']);
+    assert.strictEqual(await db.sweepExpired('coupons'), 1);
+    db.setTTL('coupons', null);
+    assert.throws(() => db.setTTL('coupons', NaN), /positive number/);
+
+    // The TTL is stamped before schema validation, so schemas may require it
+    db.setSchema('tokens', { type: 'object', required: ['expiresAt'] });
+    db.setTTL('tokens', 1000);
+    assert.ok((await db.create('tokens', { value: 't' })).expiresAt);
+
+    // Background sweeper: only TTL collections by default
+    db.setTTL(colName, 60 * 1000);
+    await db.create(colName, { user: 'e', expiresAt: Date.now() + 20 });
+    db.startExpirySweeper({ interval: 10 });
+    assert.throws(() => db.startExpirySweeper(), /already running/);
+    const deadline = Date.now() + 2000;
+    while (deleted.length < 3 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await db.stopExpirySweeper();
+    assert.strictEqual(deleted.length, 3);
+    assert.strictEqual(await db.count(colName), 3);
+    assert.strictEqual(await db.count('coupons'), 1);
+});
+
+test('Segmon - Segment Codecs & Migration', async (t) => {
+    const colName = 'codecs';
+    const segmentPath = (n) => path.join(TEST_DB_PATH, colName, `segment_${n}.json`);
+    const docs = Array.from({ length: 6 }, (_, i) => ({ i, text: 'lorem ipsum '.repeat(20) }));
+
+    // Legacy pretty-printed segments
+    const legacy = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 3 });
+    const [first] = await legacy.bulkCreate(colName, docs.slice(0, 3));
+    const pretty = await fs.readFile(segmentPath(0), 'utf8');
+    assert.ok(pretty.startsWith('{\n'));
+
+    // A gzip instance reads the old segment and writes new ones compressed
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 3, codec: 'gzip' });
+    await db.bulkCreate(colName, docs.slice(3));
+    assert.strictEqual((await fs.readFile(segmentPath(1))).subarray(0, 13).toString(), 'SEGMON1 gzip\n');
+    assert.strictEqual(await db.count(colName), 6);
+    assert.strictEqual((await db.findById(colName, first.id)).i, 0);
+
+    // Migration re-encodes only the segments using another codec
+    const report = await db.migrateCodec(colName);
+    assert.deepStrictEqual({ segments: report.segments, migrated: report.migrated }, { segments: 2, migrated: 1 });
+    assert.ok(report.bytesAfter < report.bytesBefore);
+    assert.ok((await fs.readFile(segmentPath(0))).toString('latin1').startsWith('SEGMON1 gzip\n'));
+    assert.deepStrictEqual((await db.find(colName, {})).map(d => d.i).sort(), [0, 1, 2, 3, 4, 5]);
+
+    // Any instance decodes any built-in codec; compact JSON stays plain
+    assert.strictEqual((await legacy.migrateCodec(colName, 'brotli')).migrated, 2);
+    assert.strictEqual(await legacy.count(colName), 6);
+    await db.migrateCodec(colName, 'compact');
+    assert.deepStrictEqual(Object.keys(JSON.parse(await fs.readFile(segmentPath(1), 'utf8'))).length, 3);
+    await assert.rejects(db.migrateCodec(colName, 'zip'), /Unknown segment codec "zip"/);
+
+    // Custom codecs are recorded by name and must be registered to be read
+    const reverse = {
+        name: 'reverse',
+        encode: async (text) => Buffer.from(text).reverse(),
+        decode: async (data) => Buffer.from(data).reverse()
+    };
+    const custom = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 3, codec: reverse });
+    await custom.update(colName, first.id, { $set: { i: 100 } });
+    assert.strictEqual((await custom.findById(colName, first.id)).i, 100);
+    await assert.rejects(db.findById(colName, first.id), /Unknown segment codec "reverse"/);
+    const reader = new Segmon({ basePath: TEST_DB_PATH, codecs: [reverse] });
+    assert.strictEqual((await reader.findById(colName, first.id)).i, 100);
+    assert.throws(() => new Segmon({ codec: { name: 'gzip', encode() {}, decode() {} } }), /reserved/);
+
+    // Segments split at the same size whatever the codec
+    const segmentCounts = [];
+    for (const codec of ['json', 'gzip', 'brotli']) {
+        const sized = new Segmon({ basePath: TEST_DB_PATH, segmentSize: 2000, codec });
+        for (let i = 0; i < 40; i++) await sized.create(`codecs_${codec}`, { i, text: 'lorem ipsum '.repeat(4) });
+        segmentCounts.push((await sized.storage.listSegments(`codecs_${codec}`)).length);
+    }
+    assert.ok(segmentCounts[0] > 1);
+    assert.deepStrictEqual(segmentCounts, [segmentCounts[0], segmentCounts[0], segmentCounts[0]]);
+});
+
+test('Segmon - Encryption at Rest', async (t) => {
+    const colName = 'patients';
+    const dir = path.join(TEST_DB_PATH, colName);
+    const keys = { v1: Buffer.alloc(32, 1), v2: Buffer.alloc(32, 2).toString('hex') };
+
+    // Documents written before encryption was enabled stay readable while it is not required
+    const plain = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2 });
+    const [legacy] = await plain.bulkCreate(colName, [
+        { name: 'Legacy', ssn: '000-00-0000' },
+        { name: 'Older', ssn: '000-00-0001' }
+    ]);
+
+    const strict = new Segmon({ basePath: TEST_DB_PATH, encryption: { key: keys.v1, keyId: 'v1' } });
+    await assert.rejects(strict.findById(colName, legacy.id), (err) => err instanceof AuthenticationError && err.keyId === null);
+    const db = new Segmon({
+        basePath: TEST_DB_PATH,
+        maxItemsPerSegment: 2,
+        encryption: { key: keys.v1, keyId: 'v1', requireEncryption: false }
+    });
+    await db.createIndex(colName, 'ssn', { unique: true });
+    const [alice] = await db.bulkCreate(colName, [
+        { name: 'Alice', ssn: '123-45-6789' },
+        { name: 'Bob', ssn: '987-65-4321' }
+    ]);
+    assert.strictEqual((await db.findById(colName, legacy.id)).name, 'Legacy');
+    assert.strictEqual((await db.find(colName, { ssn: '123-45-6789' }))[0].id, alice.id);
+
+    // Rotation encrypts the legacy segment; nothing readable is left on disk
+    // (two segments, the index definition and one index part per segment)
+    assert.deepStrictEqual(await db.rotateEncryptionKey(colName), { files: 5, rotated: 1 });
+    for (const file of await fs.readdir(dir)) {
+        if (file === 'generation.json') continue;
+        const content = await fs.readFile(path.join(dir, file), 'latin1');
+        assert.ok(!content.includes('Alice') && !content.includes('Legacy') && !content.includes('123-45'), file);
+    }
+    await assert.rejects(plain.findById(colName, alice.id), /is encrypted, but no encryption key is configured/);
+    assert.strictEqual((await strict.findById(colName, legacy.id)).name, 'Legacy');
+
+    // Once every file is encrypted, a plaintext file swapped in counts as tampered
+    const firstSegment = path.join(dir, 'segment_0.json');
+    const sealed = await fs.readFile(firstSegment);
+    await fs.writeFile(firstSegment, JSON.stringify({ [legacy.id]: { ...legacy, name: 'Forged' } }));
+    await assert.rejects(strict.findById(colName, legacy.id), AuthenticationError);
+    assert.strictEqual((await db.findById(colName, legacy.id)).name, 'Forged');
+    await fs.writeFile(firstSegment, sealed);
+
+    // A wrong key and tampered bytes fail authentication
+    const wrong = new Segmon({ basePath: TEST_DB_PATH, encryption: { key: Buffer.alloc(32, 9), keyId: 'v1' } });
+    await assert.rejects(wrong.findById(colName, alice.id), (err) =>
+        err instanceof AuthenticationError && err.collection === colName && err.keyId === 'v1');
+    const segment = path.join(dir, 'segment_0.json');
+    const original = await fs.readFile(segment);
+    const tampered = Buffer.from(original);
+    tampered[tampered.length - 1] ^= 1;
+    await fs.writeFile(segment, tampered);
+    const fresh = new Segmon({ basePath: TEST_DB_PATH, encryption: { key: keys.v1, keyId: 'v1' } });
+    await assert.rejects(fresh.findById(colName, legacy.id), AuthenticationError);
+    await fs.writeFile(segment, original);
+
+    // Key rotation with a provider: old files stay readable until re-encrypted
+    const rotated = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2, encryption: { key: async (id) => keys[id], keyId: 'v2' } });
+    await rotated.create(colName, { name: 'Carol', ssn: '555-55-5555' });
+    assert.strictEqual(await rotated.count(colName), 5);
+    // The insert already wrote its segment and that segment's index part with v2
+    assert.deepStrictEqual(await rotated.rotateEncryptionKey(colName), { files: 7, rotated: 5 });
+    const onlyV2 = new Segmon({ basePath: TEST_DB_PATH, encryption: { key: keys.v2, keyId: 'v2' } });
+    assert.deepStrictEqual((await onlyV2.find(colName, {}, { sort: { name: 1 } })).map(d => d.name), ['Alice', 'Bob', 'Carol', 'Legacy', 'Older']);
+    await assert.rejects(onlyV2.create(colName, { ssn: '123-45-6789' }), DuplicateKeyError);
+    await assert.rejects(db.findById(colName, alice.id), /No encryption key available for key ID "v2"/);
+
+    assert.throws(() => new Segmon({ encryption: { key: 'too short' } }), /must be 32 bytes/);
+    await assert.rejects(plain.rotateEncryptionKey(colName), /Encryption is not enabled/);
+});
+
+let adapterDirs = 0;
+testAdapterConformance('FileSystemAdapter', () =>
+    new FileSystemAdapter(path.join(TEST_DB_PATH, '.adapters', String(adapterDirs++))));
+testAdapterConformance('MemoryAdapter', () => new MemoryAdapter());
+
+test('Segmon - In-Memory Storage', async (t) => {
+    const adapter = new MemoryAdapter();
+    const db = new Segmon({ basePath: path.join(TEST_DB_PATH, 'never-created'), adapter, codec: 'gzip' });
+    const doc = await db.create('notes', { text: 'hello' });
+    assert.strictEqual((await db.findById('notes', doc.id)).text, 'hello');
+    assert.deepStrictEqual(await adapter.listFiles('notes'), ['segment_0.json']);
+    assert.ok((await adapter.readFile('notes', 'segment_0.json')).toString('latin1').startsWith('SEGMON1 gzip'));
+    await assert.rejects(fs.access(path.join(TEST_DB_PATH, 'never-created')), { code: 'ENOENT' });
+
+    // Instances with their own adapters do not share data
+    assert.strictEqual(await new Segmon({ adapter: new MemoryAdapter() }).count('notes'), 0);
+    assert.throws(() => new Segmon({ adapter, processLock: true }), /processLock requires a storage adapter shared/);
+});
+
+test('Segmon - Export & Import', async (t) => {
+    const db = new Segmon({ basePath: TEST_DB_PATH, maxItemsPerSegment: 2 });
+    const colName = 'export_users';
+    const readAll = async (stream) => {
+        let text = '';
+        for await (const chunk of stream) text += chunk;
+        return text;
+    };
+    await db.bulkCreate(colName, [
+        { name: 'Alice', age: 30, address: { city: 'Oslo', zip: '0150' }, tags: ['a', 'b'] },
+        { name: 'Bob, Jr.', age: 25, note: 'says "hi"\nthen leaves' },
+        { name: 'Carol', age: 41, active: false }
+    ]);
+    const byName = { name: 1 };
+    const original = await db.find(colName, {}, { sort: byName });
+
+    // NDJSON and JSON round-trip into fresh collections
+    const ndjson = await readAll(db.export(colName));
+    assert.strictEqual(ndjson.trim().split('\n').length, 3);
+    const json = await readAll(db.export(colName, { format: 'json', filter: { age: { $gt: 26 } } }));
+    assert.deepStrictEqual(JSON.parse(json).map(d => d.name).sort(), ['Alice', 'Carol']);
+
+    assert.deepStrictEqual(await db.import('export_ndjson', ndjson),
+        { inserted: 3, replaced: 0, skipped: 0, failed: 0, errors: [] });
+    const strip = ({ id, _rev, ...fields }) => fields;
+    assert.deepStrictEqual((await db.find('export_ndjson', {}, { sort: byName })).map(strip), original.map(strip));
+    assert.strictEqual((await db.import('export_json', Buffer.from(json), { format: 'json' })).inserted, 2);
+
+    // CSV flattens nested fields into dot-path columns and reads them back with their types
+    const csv = await readAll(db.export(colName, { format: 'csv' }));
+    const [header] = csv.split('\r\n');
+    assert.ok(header.startsWith('id,'));
+    assert.ok(header.split(',').includes('address.city'));
+    assert.ok(csv.includes('"says ""hi""\nthen leaves"'));
+    // Streamed in small chunks, so quoted fields and lines span chunk boundaries
+    const chunks = (text, size) => Array.from({ length: Math.ceil(text.length / size) }, (_, i) => text.slice(i * size, (i + 1) * size));
+    assert.strictEqual((await db.import('export_csv', chunks(csv, 7), { format: 'csv' })).inserted, 3);
+    assert.deepStrictEqual((await db.find('export_csv', {}, { sort: byName })).map(strip), original.map(strip));
+    const picked = await readAll(db.export(colName, { format: 'csv', columns: ['name', 'address.city'], filter: { age: 30 } }));
+    assert.strictEqual(picked, 'name,address.city\r\nAlice,Oslo\r\n');
+
+    // Bad rows are reported and skipped; the rest are imported
+    await db.createIndex('export_bad', 'email', { unique: true });
+    db.setSchema('export_bad', { type: 'object', properties: { email: { type: 'string' } } });
+    const report = await db.import('export_bad', [
+        '{"email":"a@x"}\n',
+        '{"email": not json}\n',
+        '\n',
+        '{"email":42}\n[1, 2]\n{"email":"a@x"}\n{"email":"b@x"}'
+    ].join(''), { batchSize: 2 });
+    assert.strictEqual(report.inserted, 2);
+    assert.strictEqual(report.failed, 4);
+    assert.deepStrictEqual(report.errors.map(e => e.row), [2, 4, 5, 6]);
+    assert.match(report.errors[0].error.message, /Invalid JSON/);
+    assert.ok(report.errors[1].error instanceof SchemaValidationError);
+    assert.ok(report.errors[3].error instanceof DuplicateKeyError);
+    assert.deepStrictEqual((await db.find('export_bad', {})).map(d => d.email).sort(), ['a@x', 'b@x']);
+
+    const mismatch = await db.import('export_bad', 'email,name\r\nc@x,Cee\r\nd@x\r\n', { format: 'csv' });
+    assert.deepStrictEqual([mismatch.inserted, mismatch.errors[0].row], [1, 2]);
+    assert.match(mismatch.errors[0].error.message, /Expected 2 fields, found 1/);
+
+    // preserveIds keeps IDs; onConflict decides about the existing ones
+    const target = 'export_restore';
+    const first = await db.import(target, ndjson, { preserveIds: true });
+    assert.strictEqual(first.inserted, 3);
+    assert.deepStrictEqual((await db.find(target, {})).map(d => d.id).sort(), original.map(d => d.id).sort());
+    const alice = original.find(d => d.name === 'Alice');
+    await db.update(target, alice.id, { age: 99 });
+    const conflict = await db.import(target, ndjson, { preserveIds: true });
+    assert.deepStrictEqual([conflict.inserted, conflict.failed], [0, 3]);
+    assert.match(conflict.errors[0].error.message, /already exists/);
+    assert.strictEqual((await db.import(target, ndjson, { preserveIds: true, onConflict: 'skip' })).skipped, 3);
+    assert.strictEqual((await db.findById(target, alice.id)).age, 99);
+    const replaced = await db.import(target, ndjson, { preserveIds: true, onConflict: 'replace' });
+    assert.strictEqual(replaced.replaced, 3);
+    const restored = await db.findById(target, alice.id);
+    assert.strictEqual(restored.age, 30);
+    const badId = await db.import(target, '{"id":"nope","name":"X"}\n', { preserveIds: true });
+    assert.match(badId.errors[0].error.message, /nope/);
+    const full = await db.import(target, `{"id":"${alice.id.split('_')[0]}_extra","name":"X"}\n`, { preserveIds: true });
+    assert.ok(full.errors[0].error instanceof SegmentFullError);
+
+    // Readable streams work as sources and as outputs
+    const piped = await db.import('export_piped', db.export(colName, { format: 'csv' }), { format: 'csv' });
+    assert.strictEqual(piped.inserted, 3);
+
+    assert.throws(() => db.export(colName, { format: 'xml' }), /Unsupported format "xml"/);
+    await assert.rejects(db.import(colName, '{}', { format: 'json' }), /must be an array/);
+    await assert.rejects(db.import('export_bad', '__proto__.polluted,name\r\nyes,x\r\n', { format: 'csv' }), /names a prototype key/);
+    await assert.rejects(db.import('export_bad', 'name,a.constructor.prototype.x\r\nx,1\r\n', { format: 'csv' }), /names a prototype key/);
+    assert.strictEqual({}.polluted, undefined);
+    await assert.rejects(db.import(colName, '', { onConflict: 'merge' }), /Invalid onConflict/);
+});